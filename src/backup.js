@@ -0,0 +1,103 @@
+import fse from 'fs-extra';
+import path from 'path';
+import { getSchemaVersion, assertSupportedVersion } from './migrations.js';
+import { integrityProblems, isCorruptionError } from './integrity.js';
+import { CorruptDatabaseError, ValidationError } from './errors.js';
+
+export const backupPrefix = (dbPath) =>
+  dbPath === ':memory:' ? 'memory' : path.basename(dbPath, path.extname(dbPath));
+
+export const backupFileName = (prefix) =>
+  `${prefix}-${new Date().toISOString().replace(/[:.]/g, '-')}.db`;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Deletes all but the newest `keep` backups; names sort by their timestamp. Only names written by
+// backupFileName() for this prefix match, so another database's backups in the same dir are left alone.
+export const rotateBackups = async (dir, prefix, keep) => {
+  const pattern = new RegExp(`^${escapeRegExp(prefix)}-\\d{4}-\\d{2}-\\d{2}T\\d{2}-\\d{2}-\\d{2}-\\d{3}Z\\.db$`);
+  const files = (await fse.readdir(dir)).filter(file => pattern.test(file)).sort();
+
+  const removed = files.slice(0, Math.max(files.length - keep, 0));
+  await Promise.all(removed.map(file => fse.remove(path.join(dir, file))));
+  return removed.map(file => path.join(dir, file));
+};
+
+export const validateBackup = (db) => {
+  let problems;
+  try {
+    problems = integrityProblems(db);
+  } catch (err) {
+    if (!isCorruptionError(err)) throw err;
+    problems = [err.message];
+  }
+  if (problems.length > 0) {
+    throw new CorruptDatabaseError(`Backup is corrupt: ${problems[0]}`, { problems });
+  }
+
+  if (!db.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'task_runs'`)) {
+    throw new ValidationError('Backup does not contain a task runs database');
+  }
+
+  const version = getSchemaVersion(db);
+  assertSupportedVersion(version);
+  return version;
+};
+
+// Replaces the schema and rows of the target database with those of the database file at sourcePath. It runs
+// in one transaction, so other connections to the target see either the old or the new database.
+export const copyDatabase = (target, sourcePath) => {
+  target.run('ATTACH DATABASE ? AS restore_source', [sourcePath]);
+  try {
+    target.exec('BEGIN IMMEDIATE');
+    try {
+      dropObjects(target, 'main');
+      copyObjects(target);
+      target.exec('COMMIT');
+    } catch (err) {
+      target.exec('ROLLBACK');
+      throw err;
+    }
+  } finally {
+    target.exec('DETACH DATABASE restore_source');
+  }
+};
+
+const listObjects = (db, schema) => db.all(`
+  SELECT type, name, sql FROM ${schema}.sqlite_master
+  WHERE sql IS NOT NULL AND name NOT LIKE 'sqlite_%'
+  ORDER BY type = 'table' DESC, rowid
+`);
+
+// Virtual tables create their own shadow tables, which defensive mode keeps read-only; they are
+// dropped and rebuilt along with their virtual table instead.
+const splitVirtualTables = (objects) => {
+  const virtualTables = objects.filter(({ sql }) => /^CREATE VIRTUAL/i.test(sql)).map(({ name }) => name);
+  const isShadow = ({ type, name }) => type === 'table' && virtualTables.some(table => name.startsWith(`${table}_`));
+  return { virtualTables, objects: objects.filter(object => !isShadow(object)) };
+};
+
+// Dropping a table drops its indexes and triggers with it.
+const dropObjects = (db, schema) => {
+  const { virtualTables, objects } = splitVirtualTables(listObjects(db, schema));
+  for (const name of virtualTables) db.exec(`DROP TABLE ${schema}."${name}"`);
+  for (const { type, name } of objects) {
+    if (type === 'table' && !virtualTables.includes(name)) db.exec(`DROP TABLE ${schema}."${name}"`);
+    if (type === 'view') db.exec(`DROP VIEW ${schema}."${name}"`);
+  }
+};
+
+const copyObjects = (target) => {
+  const { virtualTables, objects } = splitVirtualTables(listObjects(target, 'restore_source'));
+  for (const { type, name, sql } of objects) {
+    target.exec(sql);
+    if (type === 'table' && !virtualTables.includes(name)) {
+      // table_info leaves out generated columns, which cannot be inserted into.
+      const columns = target.all(`PRAGMA restore_source.table_info(${name})`).map(column => `"${column.name}"`).join(', ');
+      target.exec(`INSERT INTO main.${name} (${columns}) SELECT ${columns} FROM restore_source.${name}`);
+    }
+  }
+  for (const name of virtualTables) {
+    target.exec(`INSERT INTO main.${name} (${name}) VALUES ('rebuild')`);
+  }
+};
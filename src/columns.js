@@ -0,0 +1,39 @@
+import { InvalidColumnError } from './errors.js';
+
+// Every column a caller may name in a filter, orderBy or update. Keep in step with migrations.js.
+export const COLUMNS = {
+  task_runs: [
+    'id', 'task_identifier', 'status', 'input', 'result', 'error', 'created_at', 'updated_at',
+    'task_function_version', 'schedule_id', 'scheduled_for', 'priority',
+    'deadline_at', 'idempotency_key', 'idempotency_expires_at'
+  ],
+  stack_runs: [
+    'id', 'task_run_id', 'parent_stack_run_id', 'operation', 'status', 'input', 'result', 'error',
+    'suspended_at', 'resume_payload', 'created_at', 'updated_at', 'lease_owner', 'lease_expires_at',
+    'attempts', 'max_attempts', 'next_run_at', 'priority', 'idempotency_key', 'idempotency_expires_at',
+    'waiting_on'
+  ]
+};
+
+// INTEGER epoch-ms columns; the rest of the time columns are CURRENT_TIMESTAMP text.
+export const EPOCH_COLUMNS = {
+  task_runs: ['scheduled_for', 'deadline_at', 'idempotency_expires_at'],
+  stack_runs: ['lease_expires_at', 'next_run_at', 'idempotency_expires_at']
+};
+
+const READ_ONLY = ['id', 'created_at'];
+
+export const assertColumn = (table, column) => {
+  if (!COLUMNS[table]?.includes(column)) {
+    throw new InvalidColumnError(`Unknown column "${column}" for ${table}`, { field: column, table });
+  }
+};
+
+export const assertUpdatableColumns = (table, columns) => {
+  for (const column of columns) {
+    assertColumn(table, column);
+    if (READ_ONLY.includes(column)) {
+      throw new InvalidColumnError(`Column "${column}" of ${table} cannot be updated`, { field: column, table });
+    }
+  }
+};
@@ -0,0 +1,101 @@
+import { ValidationError } from './errors.js';
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+const invalid = (expression, reason) =>
+  new ValidationError(`Invalid cron expression "${expression}": ${reason}`, { field: 'cron', cron: expression });
+
+const parseValue = (value, field, expression) => {
+  const index = field.names?.indexOf(value.toLowerCase()) ?? -1;
+  const number = index >= 0 ? index + field.offset : Number(value);
+  if (!Number.isInteger(number) || number < field.min || number > field.max) {
+    throw invalid(expression, `${value} is not a valid ${field.name}`);
+  }
+  return number;
+};
+
+const parseField = (text, field, expression) => {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw invalid(expression, `bad step "${stepText}"`);
+
+    let from;
+    let to;
+    if (range === '*') {
+      [from, to] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      [from, to] = range.split('-').map(value => parseValue(value, field, expression));
+    } else {
+      from = parseValue(range, field, expression);
+      to = stepText === undefined ? from : field.max;
+    }
+    if (from > to) throw invalid(expression, `range ${range} is reversed`);
+
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+  return values;
+};
+
+// Standard five-field cron: minute hour day-of-month month day-of-week, in UTC.
+export const parseCron = (expression) => {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) throw invalid(expression, 'expected 5 fields');
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i], expression));
+  if (weekdays.delete(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // As in Vixie cron, a restricted day of month and day of week match either one.
+    anyDay: parts[2] !== '*' && parts[4] !== '*'
+  };
+};
+
+const dayMatches = (cron, date) => {
+  const dom = cron.days.has(date.getUTCDate());
+  const dow = cron.weekdays.has(date.getUTCDay());
+  return cron.anyDay ? dom || dow : dom && dow;
+};
+
+// The first matching minute strictly after `after`.
+export const nextCronTime = (expression, after = new Date()) => {
+  const cron = parseCron(expression);
+  const date = new Date(after instanceof Date ? after.getTime() : after);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  // Five years covers every leap-day schedule.
+  const limit = date.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+    } else if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+    } else if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  throw invalid(expression, 'never matches');
+};
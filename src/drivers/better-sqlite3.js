@@ -0,0 +1,34 @@
+import { NativeDriver } from './native.js';
+
+let Database;
+
+const loadModule = async () => {
+  if (Database === undefined) {
+    try {
+      Database = (await import('better-sqlite3')).default;
+      // The native binding is only loaded on first use; probe it so a binary
+      // built for another Node version counts as unavailable.
+      new Database(':memory:').close();
+    } catch {
+      Database = null;
+    }
+  }
+  return Database;
+};
+
+export class BetterSqlite3Driver extends NativeDriver {
+  constructor(dbPath, options) {
+    super(dbPath, options);
+    this.name = 'better-sqlite3';
+  }
+
+  static async isAvailable() {
+    return Boolean(await loadModule());
+  }
+
+  async open() {
+    const Database = await loadModule();
+    this.db = new Database(this.dbPath, { timeout: this.busyTimeout });
+    this._configure();
+  }
+}
@@ -0,0 +1,70 @@
+import { SqlJsDriver } from './sqljs.js';
+import { NodeSqliteDriver } from './node-sqlite.js';
+import { BetterSqlite3Driver } from './better-sqlite3.js';
+import fs from 'fs';
+import { isEncryptedImage } from '../encryption.js';
+import { ValidationError, DecryptionError } from '../errors.js';
+
+export const DRIVERS = {
+  'better-sqlite3': BetterSqlite3Driver,
+  'node:sqlite': NodeSqliteDriver,
+  'sql.js': SqlJsDriver
+};
+
+const AUTO_ORDER = ['better-sqlite3', 'node:sqlite', 'sql.js'];
+
+export const resolveDriver = async (name = 'auto') => {
+  if (name === 'auto') {
+    for (const candidate of AUTO_ORDER) {
+      if (await DRIVERS[candidate].isAvailable()) return DRIVERS[candidate];
+    }
+  }
+
+  const Driver = DRIVERS[name];
+  if (!Driver) {
+    throw new TypeError(`Unknown SQLite driver "${name}", expected one of: auto, ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  if (!(await Driver.isAvailable())) {
+    throw new Error(`SQLite driver "${name}" is not available in this environment`);
+  }
+  return Driver;
+};
+
+const readHeader = async (dbPath, length) => {
+  let handle;
+  try {
+    handle = await fs.promises.open(dbPath, 'r');
+  } catch (err) {
+    if (err.code === 'ENOENT') return Buffer.alloc(0);
+    throw err;
+  }
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+export const openDriver = async (dbPath, options = {}) => {
+  // Only sql.js writes the database as one image that can be encrypted before it reaches disk.
+  const encryptsFile = Boolean(options.encryptor) && dbPath !== ':memory:';
+  if (encryptsFile && options.driver && !['auto', 'sql.js'].includes(options.driver)) {
+    throw new ValidationError(`Database encryption needs the sql.js driver, not "${options.driver}"`, { field: 'driver' });
+  }
+
+  // A native driver would report an encrypted file as "not a database", which reads as corruption.
+  if (!options.encryptor && dbPath !== ':memory:' && isEncryptedImage(await readHeader(dbPath, 16))) {
+    throw new DecryptionError('Database file is encrypted; pass encryptionKey to open it', { dbPath });
+  }
+
+  const Driver = await resolveDriver(encryptsFile ? 'sql.js' : options.driver);
+  const driver = new Driver(dbPath, options);
+  try {
+    await driver.open();
+  } catch (err) {
+    driver.close();
+    throw err;
+  }
+  return driver;
+};
@@ -0,0 +1,65 @@
+import { normalizeParams } from './params.js';
+
+export class NativeDriver {
+  constructor(dbPath, options = {}) {
+    this.dbPath = dbPath;
+    this.inMemoryImage = false;
+    this.busyTimeout = options.busyTimeout ?? 5000;
+    this.journalMode = options.journalMode ?? 'WAL';
+    this.db = null;
+    this.statements = new Map();
+    this.statementCacheSize = options.statementCacheSize ?? 100;
+  }
+
+  _configure() {
+    this.exec(`PRAGMA busy_timeout = ${Number(this.busyTimeout)}`);
+    if (this.dbPath !== ':memory:') {
+      this.exec(`PRAGMA journal_mode = ${this.journalMode}`);
+      this.exec('PRAGMA synchronous = NORMAL');
+    }
+  }
+
+  // Least recently used cache: filters and IN lists produce endless distinct SQL strings,
+  // so the oldest statement is dropped once the cache is full.
+  _prepare(sql) {
+    let stmt = this.statements.get(sql);
+    if (stmt) {
+      this.statements.delete(sql);
+    } else {
+      stmt = this.db.prepare(sql);
+      if (this.statements.size >= this.statementCacheSize) {
+        this.statements.delete(this.statements.keys().next().value);
+      }
+    }
+    this.statements.set(sql, stmt);
+    return stmt;
+  }
+
+  run(sql, params) {
+    const info = this._prepare(sql).run(...normalizeParams(params));
+    return {
+      changes: Number(info.changes),
+      lastInsertRowid: info.lastInsertRowid == null ? null : Number(info.lastInsertRowid)
+    };
+  }
+
+  all(sql, params) {
+    return this._prepare(sql).all(...normalizeParams(params));
+  }
+
+  get(sql, params) {
+    return this._prepare(sql).get(...normalizeParams(params)) ?? null;
+  }
+
+  exec(sql) {
+    this.db.exec(sql);
+  }
+
+  close() {
+    if (this.db) {
+      this.statements.clear();
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
@@ -0,0 +1,27 @@
+import { NativeDriver } from './native.js';
+
+let sqlite;
+
+const loadModule = async () => {
+  if (sqlite === undefined) {
+    sqlite = await import('node:sqlite').catch(() => null);
+  }
+  return sqlite;
+};
+
+export class NodeSqliteDriver extends NativeDriver {
+  constructor(dbPath, options) {
+    super(dbPath, options);
+    this.name = 'node:sqlite';
+  }
+
+  static async isAvailable() {
+    return Boolean(await loadModule());
+  }
+
+  async open() {
+    const { DatabaseSync } = await loadModule();
+    this.db = new DatabaseSync(this.dbPath);
+    this._configure();
+  }
+}
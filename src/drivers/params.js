@@ -0,0 +1,5 @@
+export const normalizeParams = (params = []) => params.map(value => {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+});
@@ -0,0 +1,91 @@
+import initSqlJs from 'sql.js';
+import { existsSync } from 'fs';
+import fse from 'fs-extra';
+import { normalizeParams } from './params.js';
+import { isEncryptedImage } from '../encryption.js';
+import { DecryptionError } from '../errors.js';
+
+let SQL;
+
+const initSQL = async () => {
+  if (!SQL) {
+    SQL = await initSqlJs();
+  }
+  return SQL;
+};
+
+export class SqlJsDriver {
+  constructor(dbPath, options = {}) {
+    this.name = 'sql.js';
+    this.dbPath = dbPath;
+    this.encryptor = options.encryptor ?? null;
+    this.inMemoryImage = true;
+    this.db = null;
+  }
+
+  static async isAvailable() {
+    return true;
+  }
+
+  async open() {
+    await initSQL();
+
+    if (this.dbPath === ':memory:') {
+      this.db = new SQL.Database();
+      return;
+    }
+
+    if (existsSync(this.dbPath)) {
+      const buffer = await fse.readFile(this.dbPath);
+      this.db = new SQL.Database(this._decodeImage(buffer));
+    } else {
+      this.db = new SQL.Database();
+    }
+  }
+
+  _decodeImage(buffer) {
+    if (this.encryptor) return this.encryptor.openImage(buffer);
+    if (isEncryptedImage(buffer)) {
+      throw new DecryptionError('Database file is encrypted; pass encryptionKey to open it', { dbPath: this.dbPath });
+    }
+    return buffer;
+  }
+
+  run(sql, params) {
+    this.db.run(sql, normalizeParams(params));
+    const changes = this.db.getRowsModified();
+    const lastInsertRowid = this.db.exec('SELECT last_insert_rowid()')[0]?.values[0]?.[0] ?? null;
+    return { changes, lastInsertRowid };
+  }
+
+  all(sql, params) {
+    const stmt = this.db.prepare(sql);
+    try {
+      stmt.bind(normalizeParams(params));
+      const rows = [];
+      while (stmt.step()) rows.push(stmt.getAsObject());
+      return rows;
+    } finally {
+      stmt.free();
+    }
+  }
+
+  get(sql, params) {
+    return this.all(sql, params)[0] ?? null;
+  }
+
+  exec(sql) {
+    this.db.exec(sql);
+  }
+
+  export() {
+    return Buffer.from(this.db.export());
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
@@ -0,0 +1,91 @@
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync, hkdfSync } from 'crypto';
+import { DecryptionError } from './errors.js';
+
+const IMAGE_MAGIC = Buffer.from('SQLAENC2');
+const VALUE_PREFIX = 'enc:v2:';
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+const deriveKey = (master, salt, info) => Buffer.from(hkdfSync('sha256', master, salt, info, 32));
+
+const seal = (key, plaintext) => {
+  const iv = randomBytes(IV_BYTES);
+  const cipher = createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+};
+
+const open = (key, sealed, what) => {
+  try {
+    const iv = sealed.subarray(0, IV_BYTES);
+    const tag = sealed.subarray(IV_BYTES, IV_BYTES + TAG_BYTES);
+    const decipher = createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+  } catch {
+    throw new DecryptionError(`Unable to decrypt ${what}: wrong encryption key or corrupted data`);
+  }
+};
+
+export const isEncryptedImage = (buffer) =>
+  buffer.length >= IMAGE_MAGIC.length && buffer.subarray(0, IMAGE_MAGIC.length).equals(IMAGE_MAGIC);
+
+export const isEncryptedValue = (value) => typeof value === 'string' && value.startsWith(VALUE_PREFIX);
+
+export class Encryptor {
+  constructor(key) {
+    if (Buffer.isBuffer(key)) {
+      if (key.length !== 32) {
+        throw new TypeError('encryptionKey buffers must be 32 bytes');
+      }
+    } else if (typeof key !== 'string' || key.length === 0) {
+      throw new TypeError('encryptionKey must be a non-empty string or a 32-byte Buffer');
+    }
+    this.key = key;
+    // Adopts the salt of an opened image, so a database keeps the salt it was first sealed with.
+    this.kdfSalt = randomBytes(SALT_BYTES);
+    this._keys = new Map();
+  }
+
+  // Passphrases are stretched with scrypt under a random salt stored with the data, so guesses cannot be
+  // precomputed across databases. Per-image and per-value keys are derived from the result.
+  _keysFor(kdfSalt) {
+    const id = kdfSalt.toString('hex');
+    if (!this._keys.has(id)) {
+      const master = Buffer.isBuffer(this.key) ? this.key : scryptSync(this.key, kdfSalt, 32);
+      this._keys.set(id, { master, valueKey: deriveKey(master, Buffer.alloc(0), 'keystore-value') });
+    }
+    return this._keys.get(id);
+  }
+
+  // Layout: magic | scrypt salt | salt | iv | auth tag | ciphertext
+  sealImage(buffer) {
+    const salt = randomBytes(SALT_BYTES);
+    const key = deriveKey(this._keysFor(this.kdfSalt).master, salt, 'database-image');
+    return Buffer.concat([IMAGE_MAGIC, this.kdfSalt, salt, seal(key, buffer)]);
+  }
+
+  openImage(buffer) {
+    if (!isEncryptedImage(buffer)) return buffer;
+
+    const kdfSalt = Buffer.from(buffer.subarray(IMAGE_MAGIC.length, IMAGE_MAGIC.length + SALT_BYTES));
+    const salt = buffer.subarray(IMAGE_MAGIC.length + SALT_BYTES, IMAGE_MAGIC.length + 2 * SALT_BYTES);
+    const key = deriveKey(this._keysFor(kdfSalt).master, salt, 'database-image');
+    const plain = open(key, buffer.subarray(IMAGE_MAGIC.length + 2 * SALT_BYTES), 'database file');
+    this.kdfSalt = kdfSalt;
+    return plain;
+  }
+
+  // Layout: prefix + base64(scrypt salt | iv | auth tag | ciphertext)
+  encryptValue(value) {
+    const sealed = seal(this._keysFor(this.kdfSalt).valueKey, Buffer.from(value, 'utf8'));
+    return VALUE_PREFIX + Buffer.concat([this.kdfSalt, sealed]).toString('base64');
+  }
+
+  decryptValue(value) {
+    const buffer = Buffer.from(value.slice(VALUE_PREFIX.length), 'base64');
+    const { valueKey } = this._keysFor(buffer.subarray(0, SALT_BYTES));
+    return open(valueKey, buffer.subarray(SALT_BYTES), 'keystore value').toString('utf8');
+  }
+}
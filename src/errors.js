@@ -0,0 +1,29 @@
+export class SQLiteAdapterError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    Object.assign(this, details);
+  }
+}
+
+export class SchemaVersionError extends SQLiteAdapterError {}
+
+export class MigrationError extends SQLiteAdapterError {}
+
+export class ValidationError extends SQLiteAdapterError {}
+
+export class InvalidColumnError extends ValidationError {}
+
+export class InvalidTransitionError extends ValidationError {}
+
+export class NotFoundError extends SQLiteAdapterError {}
+
+export class DecryptionError extends SQLiteAdapterError {}
+
+export class CorruptDatabaseError extends SQLiteAdapterError {}
+
+export class SearchUnavailableError extends SQLiteAdapterError {}
+
+export class ChangeLogGapError extends SQLiteAdapterError {}
+
+export class TransactionError extends SQLiteAdapterError {}
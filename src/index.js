@@ -1 +1,17 @@
 export { SQLiteAdapter } from './sqlite.js';
+export { SCHEMA_VERSION } from './migrations.js';
+export { formatPrometheus } from './stats.js';
+export {
+  SQLiteAdapterError,
+  SchemaVersionError,
+  MigrationError,
+  ValidationError,
+  InvalidColumnError,
+  InvalidTransitionError,
+  NotFoundError,
+  DecryptionError,
+  CorruptDatabaseError,
+  SearchUnavailableError,
+  ChangeLogGapError,
+  TransactionError
+} from './errors.js';
@@ -0,0 +1,94 @@
+import fse from 'fs-extra';
+
+const CORRUPTION_CODES = ['SQLITE_CORRUPT', 'SQLITE_NOTADB'];
+
+export const isCorruptionError = (err) =>
+  CORRUPTION_CODES.some(code => String(err?.code ?? '').startsWith(code)) ||
+  /database disk image is malformed|file is not a database/i.test(err?.message ?? '');
+
+export const integrityProblems = (db) => {
+  try {
+    const messages = db.all('PRAGMA integrity_check').map(row => Object.values(row)[0]);
+    return messages.length === 1 && messages[0] === 'ok' ? [] : messages;
+  } catch (err) {
+    if (!isCorruptionError(err)) throw err;
+    return [err.message];
+  }
+};
+
+// Moves the file and its WAL/SHM companions aside, keeping the companions
+// next to the renamed file so it can still be opened as one database.
+export const quarantineFile = async (dbPath) => {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const quarantinePath = `${dbPath}.corrupt-${stamp}`;
+
+  for (const suffix of ['', '-wal', '-shm']) {
+    if (await fse.pathExists(dbPath + suffix)) {
+      await fse.move(dbPath + suffix, quarantinePath + suffix);
+    }
+  }
+  return quarantinePath;
+};
+
+const readRows = (source, table) => {
+  try {
+    return source.all(`SELECT * FROM ${table}`);
+  } catch {
+    // A damaged page aborts the scan; fall back to reading rows one at a time.
+  }
+
+  let maxRowid;
+  try {
+    maxRowid = source.get(`SELECT max(rowid) AS id FROM ${table}`)?.id;
+  } catch {
+    return [];
+  }
+
+  const rows = [];
+  for (let rowid = 1; rowid <= (maxRowid ?? 0); rowid++) {
+    try {
+      const row = source.get(`SELECT * FROM ${table} WHERE rowid = ?`, [rowid]);
+      if (row) rows.push(row);
+    } catch {
+      // unreadable row
+    }
+  }
+  return rows;
+};
+
+// Copies every readable row from source into the matching tables of target,
+// which must already have the current schema. Returns rows copied per table.
+export const salvageRows = (source, target) => {
+  const objects = target.all(`
+    SELECT name, sql FROM sqlite_master
+    WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != 'schema_version'
+    ORDER BY rowid
+  `);
+  // Search indexes and their shadow tables are filled by triggers as the rows go in.
+  const virtualTables = objects.filter(({ sql }) => /^CREATE VIRTUAL/i.test(sql)).map(({ name }) => name);
+  const tables = objects.filter(({ name }) =>
+    !virtualTables.some(table => name === table || name.startsWith(`${table}_`)));
+
+  const salvaged = {};
+  for (const { name } of tables) {
+    const columns = target.all(`PRAGMA table_info(${name})`).map(column => column.name);
+    let count = 0;
+
+    for (const row of readRows(source, name)) {
+      const present = columns.filter(column => column in row);
+      if (present.length === 0) continue;
+
+      try {
+        const { changes } = target.run(
+          `INSERT OR IGNORE INTO ${name} (${present.join(', ')}) VALUES (${present.map(() => '?').join(', ')})`,
+          present.map(column => row[column])
+        );
+        count += changes;
+      } catch {
+        // e.g. a stack run whose task run was lost
+      }
+    }
+    salvaged[name] = count;
+  }
+  return salvaged;
+};
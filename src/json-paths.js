@@ -0,0 +1,51 @@
+import { InvalidColumnError } from './errors.js';
+
+// Columns holding serialized JSON, which filters can reach into with keys such as 'input.customerId'.
+export const JSON_PATH_COLUMNS = {
+  task_runs: ['input', 'result', 'error'],
+  stack_runs: ['input', 'result', 'error', 'resume_payload']
+};
+
+// Keys and array indexes only, so a parsed path is safe to inline as an SQL string literal.
+const JSON_PATH = /^(\w+)((?:\.\w+|\[\d+\])+)$/;
+
+export const isJsonPath = (key) => /[.[]/.test(key);
+
+// Splits 'input.items[0].sku' into the column and the SQLite JSON path '$.items[0].sku'.
+export const parseJsonPath = (table, key) => {
+  const [, column, rest] = key.match(JSON_PATH) ?? [];
+  if (!column) {
+    throw new InvalidColumnError(`Invalid JSON path "${key}" for ${table}`, { field: key, table });
+  }
+  if (!JSON_PATH_COLUMNS[table]?.includes(column)) {
+    throw new InvalidColumnError(`Column "${column}" of ${table} does not hold JSON`, { field: key, table });
+  }
+  return { column, path: `$${rest}` };
+};
+
+// Rows whose column is not valid JSON (e.g. a plain string input) read as NULL instead of failing the query.
+export const jsonPathExpression = (table, key) => {
+  const { column, path } = parseJsonPath(table, key);
+  return `CASE WHEN json_valid(${column}) THEN json_extract(${column}, '${path}') END`;
+};
+
+// Generated columns are named after their path, the only column names containing '.' or '['.
+export const jsonIndexName = (table, key) => `"idx_${table}_${key}"`;
+
+export const jsonIndexStatements = (table, key) => [
+  `ALTER TABLE ${table} ADD COLUMN "${key}" GENERATED ALWAYS AS (${jsonPathExpression(table, key)}) VIRTUAL`,
+  `CREATE INDEX ${jsonIndexName(table, key)} ON ${table}("${key}")`
+];
+
+export const dropJsonIndexStatements = (table, key) => [
+  `DROP INDEX IF EXISTS ${jsonIndexName(table, key)}`,
+  `ALTER TABLE ${table} DROP COLUMN "${key}"`
+];
+
+export const listJsonIndexes = (db) => Object.fromEntries(Object.keys(JSON_PATH_COLUMNS).map(table => [
+  table,
+  db.all(`PRAGMA table_xinfo(${table})`).filter(column => column.hidden > 1 && isJsonPath(column.name)).map(column => column.name)
+]));
+
+export const withoutJsonIndexes = (row) =>
+  Object.fromEntries(Object.entries(row).filter(([key]) => !isJsonPath(key)));
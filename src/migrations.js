@@ -0,0 +1,271 @@
+import { createHash } from 'crypto';
+import { SchemaVersionError, MigrationError } from './errors.js';
+import { createSearchIndex } from './search.js';
+
+export const hashCode = (code) => createHash('sha256').update(code).digest('hex');
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'baseline',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS task_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_identifier TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        input TEXT,
+        result TEXT,
+        error TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS stack_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_run_id INTEGER NOT NULL REFERENCES task_runs(id),
+        parent_stack_run_id INTEGER,
+        operation TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        input TEXT,
+        result TEXT,
+        error TEXT,
+        suspended_at TEXT,
+        resume_payload TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS task_functions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        identifier TEXT NOT NULL UNIQUE,
+        code TEXT NOT NULL,
+        metadata TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS keystore (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        key TEXT NOT NULL UNIQUE,
+        value TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      `CREATE INDEX IF NOT EXISTS idx_task_runs_identifier ON task_runs(task_identifier)`,
+      `CREATE INDEX IF NOT EXISTS idx_task_runs_status ON task_runs(status)`,
+      `CREATE INDEX IF NOT EXISTS idx_stack_runs_task ON stack_runs(task_run_id)`,
+      `CREATE INDEX IF NOT EXISTS idx_stack_runs_status ON stack_runs(status)`,
+      `CREATE INDEX IF NOT EXISTS idx_stack_runs_parent ON stack_runs(parent_stack_run_id)`
+    ]
+  },
+  {
+    version: 2,
+    name: 'stack_run_leases',
+    statements: [
+      `ALTER TABLE stack_runs ADD COLUMN lease_owner TEXT`,
+      `ALTER TABLE stack_runs ADD COLUMN lease_expires_at INTEGER`,
+      `CREATE INDEX IF NOT EXISTS idx_stack_runs_lease ON stack_runs(lease_expires_at)`
+    ]
+  },
+  {
+    version: 3,
+    name: 'keystore_expiry',
+    statements: [
+      `ALTER TABLE keystore ADD COLUMN expires_at INTEGER`,
+      `CREATE INDEX IF NOT EXISTS idx_keystore_expires ON keystore(expires_at)`
+    ]
+  },
+  {
+    version: 4,
+    name: 'task_function_versions',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS task_function_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        identifier TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        code TEXT NOT NULL,
+        metadata TEXT,
+        hash TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (identifier, version)
+      )`,
+      `ALTER TABLE task_functions ADD COLUMN current_version INTEGER`,
+      `ALTER TABLE task_runs ADD COLUMN task_function_version INTEGER`
+    ],
+    up: (db) => {
+      // Existing functions become version 1 of their history.
+      for (const fn of db.all('SELECT identifier, code, metadata, created_at FROM task_functions')) {
+        db.run(`
+          INSERT INTO task_function_versions (identifier, version, code, metadata, hash, created_at)
+          VALUES (?, 1, ?, ?, ?, ?)
+        `, [fn.identifier, fn.code, fn.metadata, hashCode(fn.code), fn.created_at]);
+      }
+      db.exec('UPDATE task_functions SET current_version = 1');
+    }
+  },
+  {
+    version: 5,
+    name: 'change_log',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS change_log (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        event TEXT NOT NULL,
+        entity TEXT NOT NULL,
+        entity_id INTEGER NOT NULL,
+        payload TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )`
+    ]
+  },
+  {
+    version: 6,
+    name: 'stack_run_retries',
+    statements: [
+      `ALTER TABLE stack_runs ADD COLUMN attempts INTEGER NOT NULL DEFAULT 0`,
+      `ALTER TABLE stack_runs ADD COLUMN max_attempts INTEGER`,
+      `ALTER TABLE stack_runs ADD COLUMN next_run_at INTEGER`,
+      `CREATE INDEX IF NOT EXISTS idx_stack_runs_next_run ON stack_runs(status, next_run_at)`
+    ]
+  },
+  {
+    version: 7,
+    name: 'schedules',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS schedules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_identifier TEXT NOT NULL,
+        input TEXT,
+        cron TEXT,
+        next_run_at INTEGER,
+        last_run_at INTEGER,
+        last_task_run_id INTEGER,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_schedules_due ON schedules(enabled, next_run_at)`,
+      `ALTER TABLE task_runs ADD COLUMN schedule_id INTEGER`,
+      `ALTER TABLE task_runs ADD COLUMN scheduled_for INTEGER`,
+      // Backstop for exactly-once: one task run per schedule occurrence.
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_task_runs_schedule ON task_runs(schedule_id, scheduled_for)
+        WHERE schedule_id IS NOT NULL`
+    ]
+  },
+  {
+    version: 8,
+    name: 'priorities',
+    statements: [
+      `ALTER TABLE task_runs ADD COLUMN priority INTEGER NOT NULL DEFAULT 0`,
+      `ALTER TABLE stack_runs ADD COLUMN priority INTEGER NOT NULL DEFAULT 0`,
+      `CREATE INDEX IF NOT EXISTS idx_stack_runs_priority ON stack_runs(status, priority DESC, id)`
+    ]
+  },
+  {
+    version: 9,
+    name: 'task_run_deadlines',
+    statements: [
+      `ALTER TABLE task_runs ADD COLUMN deadline_at INTEGER`,
+      `CREATE INDEX IF NOT EXISTS idx_task_runs_deadline ON task_runs(deadline_at) WHERE deadline_at IS NOT NULL`
+    ]
+  },
+  {
+    version: 10,
+    name: 'idempotency_keys',
+    statements: [
+      `ALTER TABLE task_runs ADD COLUMN idempotency_key TEXT`,
+      `ALTER TABLE task_runs ADD COLUMN idempotency_expires_at INTEGER`,
+      `ALTER TABLE stack_runs ADD COLUMN idempotency_key TEXT`,
+      `ALTER TABLE stack_runs ADD COLUMN idempotency_expires_at INTEGER`,
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_task_runs_idempotency ON task_runs(idempotency_key)
+        WHERE idempotency_key IS NOT NULL`,
+      // Stack run keys only need to be unique within their task run.
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_stack_runs_idempotency ON stack_runs(task_run_id, idempotency_key)
+        WHERE idempotency_key IS NOT NULL`
+    ]
+  },
+  {
+    version: 11,
+    name: 'stack_run_waiting_on',
+    statements: [
+      `ALTER TABLE stack_runs ADD COLUMN waiting_on INTEGER`,
+      `CREATE INDEX IF NOT EXISTS idx_stack_runs_suspended ON stack_runs(status, suspended_at)`
+    ]
+  },
+  {
+    version: 12,
+    name: 'full_text_search',
+    up: (db) => createSearchIndex(db)
+  }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+const ensureVersionTable = (db) => {
+  db.exec(`CREATE TABLE IF NOT EXISTS schema_version (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )`);
+};
+
+export const getSchemaVersion = (db) => {
+  ensureVersionTable(db);
+  return db.get('SELECT MAX(version) AS version FROM schema_version')?.version ?? 0;
+};
+
+export const assertSupportedVersion = (version) => {
+  if (version > SCHEMA_VERSION) {
+    throw new SchemaVersionError(
+      `Database schema version ${version} is newer than the supported version ${SCHEMA_VERSION}`,
+      { version, supportedVersion: SCHEMA_VERSION }
+    );
+  }
+};
+
+const rollback = (db) => {
+  try {
+    db.exec('ROLLBACK');
+  } catch {
+    // SQLite already rolled back the failed statement's transaction.
+  }
+};
+
+export const migrate = (db, { to = SCHEMA_VERSION } = {}) => {
+  const from = getSchemaVersion(db);
+  assertSupportedVersion(from);
+  assertSupportedVersion(to);
+
+  if (to < from) {
+    throw new MigrationError(`Cannot migrate down from version ${from} to ${to}`, { from, to });
+  }
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version > to) break;
+
+    // Re-check inside the write lock so concurrent workers apply each step once.
+    db.exec('BEGIN IMMEDIATE');
+    try {
+      if (getSchemaVersion(db) >= migration.version) {
+        db.exec('COMMIT');
+        continue;
+      }
+
+      for (const stmt of migration.statements ?? []) {
+        db.exec(stmt);
+      }
+      migration.up?.(db);
+
+      db.run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      db.exec('COMMIT');
+    } catch (err) {
+      rollback(db);
+      throw new MigrationError(`Migration ${migration.version} (${migration.name}) failed: ${err.message}`, {
+        version: migration.version,
+        cause: err
+      });
+    }
+  }
+
+  return { from, to: getSchemaVersion(db) };
+};
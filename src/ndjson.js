@@ -0,0 +1,36 @@
+import { ValidationError } from './errors.js';
+
+export const EXPORT_FORMAT = 'sequential-tasker-export';
+export const EXPORT_FORMAT_VERSION = 1;
+
+export const toLine = (entry) => `${JSON.stringify(entry)}\n`;
+
+// Accepts a readable stream or any async iterable of strings or Buffers.
+export async function* readLines(stream) {
+  const decoder = new TextDecoder();
+  let buffered = '';
+  let lineNumber = 0;
+
+  const parse = (line) => {
+    lineNumber++;
+    if (line.trim() === '') return null;
+    try {
+      return JSON.parse(line);
+    } catch (err) {
+      throw new ValidationError(`Invalid NDJSON on line ${lineNumber}: ${err.message}`, { line: lineNumber });
+    }
+  };
+
+  for await (const chunk of stream) {
+    buffered += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    for (const line of lines) {
+      const entry = parse(line);
+      if (entry) yield entry;
+    }
+  }
+
+  const entry = parse(buffered + decoder.decode());
+  if (entry) yield entry;
+}
@@ -0,0 +1,189 @@
+import { ValidationError } from './errors.js';
+import { toSqlTimestamp } from './time.js';
+import { assertColumn, EPOCH_COLUMNS } from './columns.js';
+import { isJsonPath, jsonPathExpression } from './json-paths.js';
+
+const COMPARISONS = {
+  $eq: 'IS',
+  $ne: 'IS NOT',
+  $gt: '>',
+  $gte: '>=',
+  $lt: '<',
+  $lte: '<=',
+  $like: 'LIKE'
+};
+
+const toParam = (value) => (value instanceof Date ? toSqlTimestamp(value) : value);
+
+// SQLite orders every INTEGER before any TEXT, so Dates on epoch-ms columns are compared as numbers.
+const toEpochParam = (value) => (value instanceof Date ? value.getTime() : value);
+
+// JSON stores dates as ISO strings and booleans come back from json_extract as 1 / 0.
+const toJsonParam = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'boolean') return Number(value);
+  return value;
+};
+
+const isOperatorObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) &&
+  Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+
+const inClause = (column, list, negate, values, param) => {
+  if (list.length === 0) return negate ? '1=1' : '0=1';
+  values.push(...list.map(param));
+  return `${column} ${negate ? 'NOT IN' : 'IN'} (${list.map(() => '?').join(', ')})`;
+};
+
+// `field` is the filter key used in errors; `target` is the SQL it compares.
+const buildCondition = (field, value, values, { target = field, param = toParam } = {}) => {
+  if (Array.isArray(value)) return [inClause(target, value, false, values, param)];
+  if (value === null) return [`${target} IS NULL`];
+  if (!isOperatorObject(value)) {
+    values.push(param(value));
+    return [`${target} = ?`];
+  }
+
+  return Object.entries(value).map(([op, operand]) => {
+    if (op === '$in' || op === '$nin') {
+      if (!Array.isArray(operand)) {
+        throw new ValidationError(`Operator ${op} on "${field}" expects an array`, { field, operator: op });
+      }
+      return inClause(target, operand, op === '$nin', values, param);
+    }
+    if (op === '$null') {
+      return `${target} ${operand ? 'IS NULL' : 'IS NOT NULL'}`;
+    }
+    if (!COMPARISONS[op]) {
+      throw new ValidationError(`Unknown operator ${op} on "${field}"`, { field, operator: op });
+    }
+    values.push(param(operand));
+    return `${target} ${COMPARISONS[op]} ?`;
+  });
+};
+
+// A JSON path filter reads the generated column of a path index when there is one, so the index can be used.
+const jsonPathTarget = (table, key, jsonIndexes) =>
+  (jsonIndexes.includes(key) ? `"${key}"` : jsonPathExpression(table, key));
+
+export const buildWhere = (table, filter = {}, jsonIndexes = []) => {
+  const clauses = [];
+  const values = [];
+
+  for (const [key, value] of Object.entries(filter)) {
+    const jsonPath = isJsonPath(key);
+    const target = jsonPath ? jsonPathTarget(table, key, jsonIndexes) : key;
+    if (!jsonPath) assertColumn(table, key);
+    if (value === undefined) continue;
+    const param = jsonPath ? toJsonParam : EPOCH_COLUMNS[table]?.includes(key) ? toEpochParam : toParam;
+    clauses.push(...buildCondition(key, value, values, { target, param }));
+  }
+
+  return {
+    sql: clauses.length > 0 ? clauses.join(' AND ') : '1=1',
+    values
+  };
+};
+
+export const parseOrderBy = (table, orderBy = 'id') => {
+  const terms = (Array.isArray(orderBy) ? orderBy : [orderBy]).map(term => {
+    const [, desc, column, direction] = String(term).trim().match(/^(-?)(\S+)(?:\s+(asc|desc))?$/i) ?? [];
+    if (!column) {
+      throw new ValidationError(`Invalid orderBy term "${term}"`, { field: String(term) });
+    }
+    assertColumn(table, column);
+    return { column, direction: desc || direction?.toUpperCase() === 'DESC' ? 'DESC' : 'ASC' };
+  });
+
+  // Cursor pagination needs a total order, so id always breaks ties.
+  if (!terms.some(term => term.column === 'id')) {
+    terms.push({ column: 'id', direction: terms[terms.length - 1].direction });
+  }
+  return terms;
+};
+
+export const encodeCursor = (row, terms) =>
+  Buffer.from(JSON.stringify(terms.map(term => row[term.column]))).toString('base64url');
+
+const decodeCursor = (cursor, terms) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    decoded = null;
+  }
+  if (!Array.isArray(decoded) || decoded.length !== terms.length) {
+    throw new ValidationError('Invalid pagination cursor', { field: 'cursor' });
+  }
+  return decoded;
+};
+
+// NULLs sort first ascending and last descending, as SQLite does by default; the
+// ORDER BY spells it out so the cursor clause below can rely on it.
+const orderTerm = (term) => `${term.column} ${term.direction} ${term.direction === 'DESC' ? 'NULLS LAST' : 'NULLS FIRST'}`;
+
+// Rows after `value` in the term's order, where NULL is a position rather than unknown.
+const afterClause = (term, value, values) => {
+  if (term.direction === 'DESC') {
+    if (value === null) return '0=1';
+    values.push(value);
+    return `(${term.column} < ? OR ${term.column} IS NULL)`;
+  }
+  if (value === null) return `${term.column} IS NOT NULL`;
+  values.push(value);
+  return `${term.column} > ?`;
+};
+
+// Expands (a, b, id) > (x, y, z) so that each term can have its own direction.
+const buildCursorClause = (terms, cursorValues, values) => {
+  const alternatives = terms.map((term, i) => {
+    const parts = terms.slice(0, i).map((prev, j) => {
+      values.push(cursorValues[j]);
+      return `${prev.column} IS ?`;
+    });
+    parts.push(afterClause(term, cursorValues[i], values));
+    return `(${parts.join(' AND ')})`;
+  });
+  return `(${alternatives.join(' OR ')})`;
+};
+
+const assertCount = (name, value) => {
+  if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+    throw new ValidationError(`${name} must be a non-negative integer`, { field: name });
+  }
+};
+
+export const buildSelect = (table, filter = {}, options = {}, jsonIndexes = []) => {
+  const { orderBy, limit, offset, cursor } = options;
+  assertCount('limit', limit);
+  assertCount('offset', offset);
+
+  const where = buildWhere(table, filter, jsonIndexes);
+  const values = [...where.values];
+  const terms = parseOrderBy(table, orderBy);
+
+  let sql = `SELECT * FROM ${table} WHERE ${where.sql}`;
+  if (cursor) {
+    sql += ` AND ${buildCursorClause(terms, decodeCursor(cursor, terms), values)}`;
+  }
+  sql += ` ORDER BY ${terms.map(orderTerm).join(', ')}`;
+
+  if (limit !== undefined) {
+    sql += ' LIMIT ?';
+    values.push(limit);
+  }
+  if (offset !== undefined) {
+    sql += `${limit === undefined ? ' LIMIT -1' : ''} OFFSET ?`;
+    values.push(offset);
+  }
+
+  return { sql, values, terms };
+};
+
+export const buildCount = (table, filter = {}, jsonIndexes = []) => {
+  const where = buildWhere(table, filter, jsonIndexes);
+  return {
+    sql: `SELECT COUNT(*) AS count FROM ${table} WHERE ${where.sql}`,
+    values: where.values
+  };
+};
@@ -0,0 +1,164 @@
+import { ValidationError } from './errors.js';
+
+export const SEARCH_TABLES = ['task_runs', 'stack_runs'];
+
+const SEARCH_COLUMNS = ['input', 'result', 'error'];
+const COLUMN_LIST = SEARCH_COLUMNS.join(', ');
+
+const HIGHLIGHT = ["'<mark>'", "'</mark>'", "'…'"].join(', ');
+const SNIPPET_TOKENS = 12;
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+export const searchTable = (table) => `${table}_fts`;
+
+const rowValues = (ref) => SEARCH_COLUMNS.map(column => `${ref}.${column}`).join(', ');
+
+// External content tables: the text stays in the run tables and triggers keep the index in step.
+const VIRTUAL_TABLES = {
+  fts5: (table) => `CREATE VIRTUAL TABLE ${searchTable(table)} USING fts5(${COLUMN_LIST}, content='${table}', content_rowid='id')`,
+  fts4: (table) => `CREATE VIRTUAL TABLE ${searchTable(table)} USING fts4(content='${table}', ${COLUMN_LIST})`
+};
+
+const TRIGGERS = {
+  fts5: (table, fts = searchTable(table)) => {
+    const remove = `INSERT INTO ${fts} (${fts}, rowid, ${COLUMN_LIST}) VALUES ('delete', old.id, ${rowValues('old')});`;
+    const add = `INSERT INTO ${fts} (rowid, ${COLUMN_LIST}) VALUES (new.id, ${rowValues('new')});`;
+    return [
+      { name: `${fts}_insert`, body: `AFTER INSERT ON ${table} BEGIN ${add} END` },
+      { name: `${fts}_delete`, body: `AFTER DELETE ON ${table} BEGIN ${remove} END` },
+      { name: `${fts}_update`, body: `AFTER UPDATE OF ${COLUMN_LIST} ON ${table} BEGIN ${remove} ${add} END` }
+    ];
+  },
+  // fts4 reads the old text from the content table, so it has to be removed before the row changes.
+  fts4: (table, fts = searchTable(table)) => {
+    const remove = `DELETE FROM ${fts} WHERE docid = old.id;`;
+    const add = `INSERT INTO ${fts} (docid, ${COLUMN_LIST}) VALUES (new.id, ${rowValues('new')});`;
+    return [
+      { name: `${fts}_insert`, body: `AFTER INSERT ON ${table} BEGIN ${add} END` },
+      { name: `${fts}_delete`, body: `BEFORE DELETE ON ${table} BEGIN ${remove} END` },
+      { name: `${fts}_before_update`, body: `BEFORE UPDATE OF ${COLUMN_LIST} ON ${table} BEGIN ${remove} END` },
+      { name: `${fts}_update`, body: `AFTER UPDATE OF ${COLUMN_LIST} ON ${table} BEGIN ${add} END` }
+    ];
+  }
+};
+
+export const hasSearchModule = (db, module) => {
+  try {
+    db.exec(`CREATE VIRTUAL TABLE temp.search_probe USING ${module}(body)`);
+    db.exec('DROP TABLE temp.search_probe');
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const rebuild = (db) => {
+  for (const table of SEARCH_TABLES) {
+    db.exec(`INSERT INTO ${searchTable(table)} (${searchTable(table)}) VALUES ('rebuild')`);
+  }
+};
+
+// sql.js ships without fts5, so those databases are indexed with fts4.
+export const createSearchIndex = (db) => {
+  const module = hasSearchModule(db, 'fts5') ? 'fts5' : 'fts4';
+  for (const table of SEARCH_TABLES) {
+    db.exec(VIRTUAL_TABLES[module](table));
+  }
+  prepareSearchIndex(db);
+};
+
+// Returns the module behind the index, or null when the database has no index
+// or was indexed with a module this driver cannot load. In that case the
+// triggers are dropped so that writes keep working; the next driver that has
+// the module recreates them and rebuilds the index.
+export const prepareSearchIndex = (db) => {
+  const row = db.get(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?`, [searchTable(SEARCH_TABLES[0])]);
+  if (!row) return null;
+
+  const module = row.sql.match(/USING\s+(fts\d)/i)[1].toLowerCase();
+  const triggers = SEARCH_TABLES.flatMap(table => TRIGGERS[module](table));
+  const existing = new Set(db.all(`SELECT name FROM sqlite_master WHERE type = 'trigger'`).map(trigger => trigger.name));
+
+  if (!hasSearchModule(db, module)) {
+    for (const { name } of triggers) {
+      if (existing.has(name)) db.exec(`DROP TRIGGER ${name}`);
+    }
+    return null;
+  }
+
+  const missing = triggers.filter(({ name }) => !existing.has(name));
+  if (missing.length > 0) {
+    for (const { name, body } of missing) {
+      db.exec(`CREATE TRIGGER ${name} ${body}`);
+    }
+    rebuild(db);
+  }
+  return module;
+};
+
+// Every word has to match; each is quoted so punctuation in error messages is not read as query syntax.
+export const toMatchExpression = (query) => {
+  const words = (typeof query === 'string' ? query.match(/\S+/g) ?? [] : [])
+    .filter(word => /[\p{L}\p{N}]/u.test(word));
+  if (words.length === 0) {
+    throw new ValidationError('Search query must contain at least one word', { field: 'query' });
+  }
+  return words.map(word => `"${word.replace(/"/g, '""')}"`).join(' ');
+};
+
+// Okapi BM25 from matchinfo(..., 'pcnalx'), the same ranking fts5 has built in.
+const bm25 = (info) => {
+  const values = new Uint32Array(Uint8Array.from(info).buffer);
+  const [phrases, columns, rows] = values;
+  const averages = values.subarray(3, 3 + columns);
+  const lengths = values.subarray(3 + columns, 3 + 2 * columns);
+  const hits = values.subarray(3 + 2 * columns);
+
+  let score = 0;
+  for (let phrase = 0; phrase < phrases; phrase++) {
+    for (let column = 0; column < columns; column++) {
+      const offset = 3 * (phrase * columns + column);
+      const inRow = hits[offset];
+      if (inRow === 0) continue;
+
+      const inRows = hits[offset + 2];
+      const idf = Math.max(Math.log((rows - inRows + 0.5) / (inRows + 0.5)), 1e-6);
+      const relativeLength = averages[column] > 0 ? lengths[column] / averages[column] : 1;
+      score += idf * (inRow * (BM25_K1 + 1)) / (inRow + BM25_K1 * (1 - BM25_B + BM25_B * relativeLength));
+    }
+  }
+  return score;
+};
+
+// Returns the best `limit` rows of `table` matching `match`, each with
+// search_score (higher is better) and search_snippet.
+export const searchRows = (db, module, table, match, where, limit) => {
+  const fts = searchTable(table);
+  const from = `FROM ${fts} JOIN ${table} r ON r.id = ${fts}.rowid WHERE ${fts} MATCH ? AND ${where.sql}`;
+  const values = [match, ...where.values];
+
+  if (module === 'fts5') {
+    return db.all(`
+      SELECT r.*, -bm25(${fts}) AS search_score, snippet(${fts}, -1, ${HIGHLIGHT}, ${SNIPPET_TOKENS}) AS search_snippet
+      ${from}
+      ORDER BY bm25(${fts}), r.id
+      LIMIT ?
+    `, [...values, limit]);
+  }
+
+  // fts4 has no ranking function, so matches are scored here and only the best are loaded.
+  const ranked = db.all(`SELECT r.id, matchinfo(${fts}, 'pcnalx') AS info ${from}`, values)
+    .map(({ id, info }) => ({ id, score: bm25(info) }))
+    .sort((a, b) => b.score - a.score || a.id - b.id)
+    .slice(0, limit);
+  if (ranked.length === 0) return [];
+
+  const rows = new Map(db.all(`
+    SELECT r.*, snippet(${fts}, ${HIGHLIGHT}, -1, ${SNIPPET_TOKENS}) AS search_snippet
+    ${from} AND r.id IN (${ranked.map(() => '?').join(', ')})
+  `, [...values, ...ranked.map(({ id }) => id)]).map(row => [row.id, row]));
+
+  return ranked.map(({ id, score }) => ({ ...rows.get(id), search_score: score }));
+};
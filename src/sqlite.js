@@ -1,165 +1,319 @@
-import initSqlJs from 'sql.js';
 import { StorageAdapter } from '@sequential/sequential-adaptor';
 import { Serializer, CRUDPatterns, RECORD_TYPES } from '@sequential/sequential-storage-utils';
 import logger from '@sequential/sequential-logging';
-import { existsSync } from 'fs';
 import fse from 'fs-extra';
 import path from 'path';
-
-let SQL;
-
-const initSQL = async () => {
-  if (!SQL) {
-    SQL = await initSqlJs();
-  }
-  return SQL;
-};
+import os from 'os';
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+import { AsyncLocalStorage } from 'async_hooks';
+import { Readable } from 'stream';
+import { openDriver } from './drivers/index.js';
+import { migrate, getSchemaVersion, hashCode } from './migrations.js';
+import { buildSelect, buildCount, buildWhere, encodeCursor } from './query.js';
+import { COLUMNS, EPOCH_COLUMNS, assertUpdatableColumns } from './columns.js';
+import { toSqlTimestamp, toEpochMs } from './time.js';
+import { nextCronTime } from './cron.js';
+import { collectStats } from './stats.js';
+import { SEARCH_TABLES, prepareSearchIndex, toMatchExpression, searchRows } from './search.js';
+import {
+  JSON_PATH_COLUMNS,
+  parseJsonPath,
+  jsonIndexStatements,
+  dropJsonIndexStatements,
+  listJsonIndexes,
+  withoutJsonIndexes
+} from './json-paths.js';
+import {
+  ValidationError,
+  NotFoundError,
+  DecryptionError,
+  CorruptDatabaseError,
+  InvalidTransitionError,
+  SearchUnavailableError,
+  ChangeLogGapError,
+  TransactionError
+} from './errors.js';
+import { integrityProblems, isCorruptionError, quarantineFile, salvageRows } from './integrity.js';
+import { Encryptor, isEncryptedImage, isEncryptedValue } from './encryption.js';
+import { EXPORT_FORMAT, EXPORT_FORMAT_VERSION, toLine, readLines } from './ndjson.js';
+import { backupPrefix, backupFileName, rotateBackups, validateBackup, copyDatabase } from './backup.js';
+
+const DURABILITY_MODES = ['on-close', 'debounced', 'every-write'];
+const CORRUPTION_MODES = ['quarantine', 'throw', 'recover'];
+const FAIRNESS_MODES = ['none', 'round-robin'];
+const IMPORT_CONFLICT_MODES = ['error', 'skip', 'replace'];
+const JSON_COLUMNS = ['input', 'result', 'error', 'resume_payload'];
+// Stack run columns holding another stack run's id, remapped on import.
+const STACK_RUN_LINKS = ['parent_stack_run_id', 'waiting_on'];
+// Leases and idempotency keys belong to the clients and workers of the exporting system, and schedules are not
+// exported, so imported runs are not linked to one.
+const NOT_IMPORTED = [
+  'id', 'lease_owner', 'lease_expires_at', 'idempotency_key', 'idempotency_expires_at', 'schedule_id', 'scheduled_for'
+];
+const CLAIMABLE_STATUSES = `('pending', 'suspended_waiting_child')`;
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled', 'timed_out'];
+const SUSPENDABLE_STATUSES = ['pending', 'running'];
+const FAILABLE_STATUSES = ['pending', 'running'];
+
+const toColumnValue = (table, column, value) =>
+  EPOCH_COLUMNS[table].includes(column) && value !== null && value !== undefined ? toEpochMs(value) : value;
 
 export class SQLiteAdapter extends StorageAdapter {
-  constructor(dbPath = ':memory:') {
+  constructor(dbPath = ':memory:', options = {}) {
     super();
     this.dbPath = dbPath;
     this.db = null;
     this.serializer = new Serializer();
     this.crudPatterns = new CRUDPatterns();
+
+    this.durability = options.durability ?? 'debounced';
+    if (!DURABILITY_MODES.includes(this.durability)) {
+      throw new TypeError(`Unknown durability mode "${this.durability}", expected one of: ${DURABILITY_MODES.join(', ')}`);
+    }
+    this.flushDelay = options.flushDelay ?? 100;
+    this.maxFlushDelay = options.maxFlushDelay ?? 1000;
+    this.leaseMs = options.leaseMs ?? 30000;
+    this.idempotencyWindow = options.idempotencyWindow === undefined ? 24 * 60 * 60 * 1000 : options.idempotencyWindow;
+    this.scheduling = { fairness: 'none', maxInFlight: null, ...options.scheduling };
+    this._assertScheduling(this.scheduling);
+    this.retry = { maxAttempts: 3, baseDelay: 1000, maxDelay: 5 * 60 * 1000, factor: 2, jitter: 0, ...options.retry };
+
+    this.onCorruption = options.onCorruption ?? 'quarantine';
+    if (!CORRUPTION_MODES.includes(this.onCorruption)) {
+      throw new TypeError(`Unknown onCorruption mode "${this.onCorruption}", expected one of: ${CORRUPTION_MODES.join(', ')}`);
+    }
+    this.integrityCheck = options.integrityCheck ?? true;
+    this.corruption = null;
+    this.searchModule = null;
+
+    this.encryptor = options.encryptionKey ? new Encryptor(options.encryptionKey) : null;
+
+    this.driverOptions = {
+      driver: options.driver ?? 'auto',
+      busyTimeout: options.busyTimeout,
+      journalMode: options.journalMode,
+      statementCacheSize: options.statementCacheSize,
+      encryptor: options.encryptDatabase === false ? null : this.encryptor
+    };
+
+    this._flushTimer = null;
+    this._firstDirtyAt = null;
+    this._flushing = Promise.resolve();
+    this._txLock = null;
+    this._txScope = new AsyncLocalStorage();
+
+    this.retention = options.retention ?? null;
+    this.keystoreSweepInterval = options.keystoreSweepInterval ?? null;
+    this.timeoutSweepInterval = options.timeoutSweepInterval ?? null;
+    this.backups = options.backups ?? null;
+    if (this.backups && !this.backups.dir) {
+      throw new TypeError('backups.dir is required');
+    }
+    this.jsonIndexes = options.jsonIndexes ?? {};
+    for (const table of Object.keys(this.jsonIndexes)) {
+      if (!JSON_PATH_COLUMNS[table]) {
+        throw new TypeError(`Unknown jsonIndexes table "${table}", expected one of: ${Object.keys(JSON_PATH_COLUMNS).join(', ')}`);
+      }
+    }
+    this._indexedPaths = { task_runs: [], stack_runs: [] };
+    this._timers = [];
+
+    this.changeLog = options.changeLog ?? true;
+    this.events = new EventEmitter();
   }
 
   async init() {
-    await initSQL();
+    if (this.dbPath !== ':memory:') {
+      await fse.ensureDir(path.dirname(this.dbPath));
+    }
 
+    this.db = await this._openDatabase();
+
+    await this.migrate();
+
+    if (this.corruption && this.onCorruption === 'recover') {
+      await this._salvage();
+    }
+
+    for (const [table, paths] of Object.entries(this.jsonIndexes)) {
+      for (const jsonPath of paths) await this.createJsonIndex(table, jsonPath);
+    }
+
+    if (this.durability !== 'on-close') {
+      await this.flush();
+    }
+
+    if (this.retention) {
+      const { interval = 60 * 60 * 1000, ...policy } = this.retention;
+      await this._applyRetention(policy);
+      this._every(interval, () => this._applyRetention(policy), 'Error applying retention policy');
+    }
+
+    if (this.keystoreSweepInterval) {
+      this._every(this.keystoreSweepInterval, () => this.sweepKeystore(), 'Error sweeping expired keystore entries');
+    }
+
+    if (this.timeoutSweepInterval) {
+      this._every(this.timeoutSweepInterval, () => this.sweepTimedOutTaskRuns(), 'Error sweeping timed out task runs');
+    }
+
+    if (this.backups) {
+      this._every(this.backups.interval ?? 24 * 60 * 60 * 1000, () => this.rotateBackup(), 'Error writing scheduled backup');
+    }
+  }
+
+  async _openDatabase() {
     if (this.dbPath === ':memory:') {
-      this.db = new SQL.Database();
-    } else {
-      try {
-        const dir = path.dirname(this.dbPath);
-        await fse.ensureDir(dir);
+      return openDriver(this.dbPath, this.driverOptions);
+    }
 
-        if (existsSync(this.dbPath)) {
-          const buffer = await fse.readFile(this.dbPath);
-          this.db = new SQL.Database(buffer);
-        } else {
-          this.db = new SQL.Database();
-        }
-      } catch (err) {
-        logger.error('Error loading database', { error: err.message, dbPath: this.dbPath });
-        this.db = new SQL.Database();
-      }
+    let db = null;
+    let problems;
+    try {
+      db = await openDriver(this.dbPath, this.driverOptions);
+      problems = this.integrityCheck ? integrityProblems(db) : [];
+    } catch (err) {
+      if (!isCorruptionError(err)) throw err;
+      problems = [err.message];
     }
+    if (problems.length === 0) return db;
 
-    await this._createTables();
-  }
-
-  async _createTables() {
-    const statements = [
-      `CREATE TABLE IF NOT EXISTS task_runs (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        task_identifier TEXT NOT NULL,
-        status TEXT NOT NULL DEFAULT 'pending',
-        input TEXT,
-        result TEXT,
-        error TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      `CREATE TABLE IF NOT EXISTS stack_runs (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        task_run_id INTEGER NOT NULL REFERENCES task_runs(id),
-        parent_stack_run_id INTEGER,
-        operation TEXT NOT NULL,
-        status TEXT NOT NULL DEFAULT 'pending',
-        input TEXT,
-        result TEXT,
-        error TEXT,
-        suspended_at TEXT,
-        resume_payload TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      `CREATE TABLE IF NOT EXISTS task_functions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        identifier TEXT NOT NULL UNIQUE,
-        code TEXT NOT NULL,
-        metadata TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      `CREATE TABLE IF NOT EXISTS keystore (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        key TEXT NOT NULL UNIQUE,
-        value TEXT NOT NULL,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      `CREATE INDEX IF NOT EXISTS idx_task_runs_identifier ON task_runs(task_identifier)`,
-      `CREATE INDEX IF NOT EXISTS idx_task_runs_status ON task_runs(status)`,
-      `CREATE INDEX IF NOT EXISTS idx_stack_runs_task ON stack_runs(task_run_id)`,
-      `CREATE INDEX IF NOT EXISTS idx_stack_runs_status ON stack_runs(status)`,
-      `CREATE INDEX IF NOT EXISTS idx_stack_runs_parent ON stack_runs(parent_stack_run_id)`
-    ];
-
-    for (const stmt of statements) {
-      try {
-        this.db.run(stmt);
-      } catch (err) {
-        if (!err.message.includes('already exists')) {
-          logger.error('Error creating table', { error: err.message, statement: stmt.substring(0, 50) });
-        }
-      }
+    db?.close();
+    if (this.onCorruption === 'throw') {
+      throw new CorruptDatabaseError(`Database file is corrupt: ${problems[0]}`, { dbPath: this.dbPath, problems });
+    }
+
+    // Never reuse the path of a damaged file: a later flush would overwrite it.
+    const quarantinePath = await quarantineFile(this.dbPath);
+    logger.error('Corrupt database quarantined', { dbPath: this.dbPath, quarantinePath, problems });
+    this.corruption = { quarantinePath, problems, salvaged: null };
+
+    return openDriver(this.dbPath, this.driverOptions);
+  }
+
+  async _salvage() {
+    const { quarantinePath } = this.corruption;
+    let source;
+    try {
+      source = await openDriver(quarantinePath, { ...this.driverOptions, journalMode: 'DELETE' });
+    } catch (err) {
+      logger.error('Unable to open quarantined database for recovery', { error: err.message, quarantinePath });
+      this.corruption.salvaged = {};
+      return;
     }
+
+    try {
+      this.corruption.salvaged = await this.transaction(async (tx) => salvageRows(source, tx.db));
+      logger.info('Recovered rows from corrupt database', { quarantinePath, salvaged: this.corruption.salvaged });
+    } finally {
+      source.close();
+    }
+  }
+
+  async checkIntegrity() {
+    await this._waitForTransaction();
+    const problems = integrityProblems(this.db);
+    return { ok: problems.length === 0, problems };
+  }
+
+  async migrate(options) {
+    await this._waitForTransaction();
+    const result = migrate(this.db, options);
+    if (result.to !== result.from) {
+      logger.info('Migrated database schema', { ...result, dbPath: this.dbPath });
+      await this._afterWrite();
+    }
+    this.searchModule = await this.transaction(async (tx) => prepareSearchIndex(tx.db));
+    this._indexedPaths = listJsonIndexes(this.db);
+    return result;
+  }
+
+  async getSchemaVersion() {
+    await this._waitForTransaction();
+    return getSchemaVersion(this.db);
   }
 
   async createTaskRun(taskRun) {
-    const prepared = this.crudPatterns.buildTaskRunCreate(taskRun);
+    const { idempotencyKey = null, ...fields } = taskRun;
+    const prepared = this.crudPatterns.buildTaskRunCreate(fields);
 
+    return this.transaction(async (tx) => {
+      const existing = idempotencyKey === null ? null : tx._idempotentRow('task_runs', idempotencyKey);
+      if (existing) return tx._parseTaskRun(existing);
+      return tx._insertTaskRun(prepared, { idempotencyKey });
+    });
+  }
+
+  // Returns the row holding a live key. An expired key is released so a new row can take it.
+  _idempotentRow(table, key, taskRunId) {
+    const scoped = table === 'stack_runs';
+    const row = this.db.get(
+      `SELECT * FROM ${table} WHERE idempotency_key = ?${scoped ? ' AND task_run_id = ?' : ''}`,
+      scoped ? [key, taskRunId] : [key]
+    );
+    if (!row) return null;
+    if (row.idempotency_expires_at === null || row.idempotency_expires_at > Date.now()) return row;
+
+    this.db.run(`UPDATE ${table} SET idempotency_key = NULL, idempotency_expires_at = NULL WHERE id = ?`, [row.id]);
+    return null;
+  }
+
+  _idempotencyExpiresAt(key) {
+    return key === null || this.idempotencyWindow === null ? null : Date.now() + this.idempotencyWindow;
+  }
+
+  _insertTaskRun(prepared, { scheduleId = null, scheduledFor = null, idempotencyKey = null } = {}) {
+    // Pin the run to the function version that is current when it starts.
     const sql = `
-      INSERT INTO task_runs (task_identifier, status, input, result, error)
-      VALUES (?, ?, ?, ?, ?)
+      INSERT INTO task_runs (
+        task_identifier, status, input, result, error, task_function_version, schedule_id, scheduled_for, priority,
+        deadline_at, idempotency_key, idempotency_expires_at
+      )
+      VALUES (?, ?, ?, ?, ?, COALESCE(?, (SELECT current_version FROM task_functions WHERE identifier = ?)), ?, ?, ?, ?, ?, ?)
     `;
 
-    this.db.run(sql, [
+    const { lastInsertRowid } = this.db.run(sql, [
       prepared.task_identifier ?? null,
       prepared.status ?? 'pending',
       prepared.input || null,
       prepared.result || null,
-      prepared.error || null
+      prepared.error || null,
+      prepared.task_function_version ?? null,
+      prepared.task_identifier ?? null,
+      scheduleId,
+      scheduledFor,
+      prepared.priority ?? 0,
+      prepared.deadline_at === undefined || prepared.deadline_at === null ? null : toEpochMs(prepared.deadline_at),
+      idempotencyKey,
+      this._idempotencyExpiresAt(idempotencyKey)
     ]);
 
-    const result = this.db.exec('SELECT last_insert_rowid() as id');
-    const lastId = result[0]?.values[0]?.[0];
-    return this._getTaskRunById(lastId);
+    const record = this._getTaskRunById(lastInsertRowid);
+    this._recordChange('taskRun:created', 'task_run', record);
+    return record;
   }
 
   async getTaskRun(id) {
+    await this._waitForTransaction();
     return this._getTaskRunById(id);
   }
 
   _getTaskRunById(id) {
-    const result = this.db.exec('SELECT * FROM task_runs WHERE id = ?', [id]);
-    if (!result[0]) return null;
-
-    const row = result[0];
-    const cols = row.columns;
-    const values = row.values[0];
-
-    const obj = {};
-    cols.forEach((col, i) => obj[col] = values[i]);
-
-    return this._parseTaskRun(obj);
+    const row = this.db.get('SELECT * FROM task_runs WHERE id = ?', [id]);
+    return row ? this._parseTaskRun(row) : null;
   }
 
   _parseTaskRun(row) {
-    const deserialized = this.serializer.deserializeRecord(row);
+    const deserialized = this.serializer.deserializeRecord(withoutJsonIndexes(row));
     return this.crudPatterns.normalizeTaskRunRecord(deserialized);
   }
 
   async updateTaskRun(id, updates) {
     const prepared = this.crudPatterns.buildTaskRunUpdate(updates);
     const keys = Object.keys(prepared);
-    const values = keys.map(k => prepared[k]);
+    assertUpdatableColumns('task_runs', keys);
+    const values = keys.map(k => toColumnValue('task_runs', k, prepared[k]));
 
     const setClause = keys.map(k => `${k} = ?`).join(', ');
     const sql = `
@@ -168,203 +322,1492 @@ export class SQLiteAdapter extends StorageAdapter {
       WHERE id = ?
     `;
 
-    this.db.run(sql, [...values, id]);
-    return this._getTaskRunById(id);
+    return this.transaction(async (tx) => {
+      const previous = tx.db.get('SELECT status FROM task_runs WHERE id = ?', [id]);
+      tx.db.run(sql, [...values, id]);
+
+      const record = tx._getTaskRunById(id);
+      if (record) {
+        tx._recordChange('taskRun:updated', 'task_run', record, { fields: keys });
+        if (record.status !== previous.status) {
+          tx._recordChange('taskRun:statusChanged', 'task_run', record, { from: previous.status, to: record.status });
+        }
+      }
+      return record;
+    });
   }
 
-  async queryTaskRuns(filter) {
-    let sql = 'SELECT * FROM task_runs WHERE 1=1';
-    const values = [];
+  async queryTaskRuns(filter = {}, options = {}) {
+    await this._waitForTransaction();
+    return this._query('task_runs', filter, options).map(row => this._parseTaskRun(row));
+  }
+
+  async queryTaskRunsPage(filter = {}, options = {}) {
+    await this._waitForTransaction();
+    const { rows, nextCursor } = this._queryPage('task_runs', filter, options);
+    return { items: rows.map(row => this._parseTaskRun(row)), nextCursor };
+  }
 
-    Object.entries(filter).forEach(([key, value]) => {
-      sql += ` AND ${key} = ?`;
-      values.push(value);
+  async countTaskRuns(filter = {}) {
+    await this._waitForTransaction();
+    return this._count('task_runs', filter);
+  }
+
+  async cancelTaskRun(id, reason = 'Task run cancelled') {
+    return this.transaction(async (tx) => {
+      const row = tx.db.get('SELECT status FROM task_runs WHERE id = ?', [id]);
+      if (!row) throw new NotFoundError(`Task run ${id} not found`, { id });
+      if (FINISHED_STATUSES.includes(row.status)) return tx._getTaskRunById(id);
+
+      return tx._finishTaskRun(id, 'cancelled', { name: 'CancelledError', message: reason });
     });
+  }
+
+  async sweepTimedOutTaskRuns(now = Date.now()) {
+    const at = toEpochMs(now);
 
-    const result = this.db.exec(sql, values);
-    if (!result[0]) return [];
+    return this.transaction(async (tx) => {
+      const overdue = tx.db.all(`
+        SELECT id, deadline_at FROM task_runs
+        WHERE deadline_at <= ? AND status NOT IN (${FINISHED_STATUSES.map(() => '?').join(', ')})
+      `, [at, ...FINISHED_STATUSES]);
 
-    const cols = result[0].columns;
-    return result[0].values.map(row => {
-      const obj = {};
-      cols.forEach((col, i) => obj[col] = row[i]);
-      return this._parseTaskRun(obj);
+      for (const { id, deadline_at: deadlineAt } of overdue) {
+        await tx._finishTaskRun(id, 'timed_out', {
+          name: 'TimeoutError',
+          message: `Deadline ${new Date(deadlineAt).toISOString()} passed`
+        });
+      }
+      if (overdue.length > 0) {
+        logger.info('Timed out overdue task runs', { count: overdue.length });
+      }
+      return overdue.length;
     });
   }
 
+  // Ends a task run and every unfinished stack run under it, so none of them can be claimed again.
+  async _finishTaskRun(id, status, error) {
+    const { error: serializedError } = this.crudPatterns.buildStackRunUpdate({ error });
+    const stackRuns = this.db.all(`
+      UPDATE stack_runs
+      SET status = ?, error = ?, lease_owner = NULL, lease_expires_at = NULL, next_run_at = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE task_run_id = ? AND status NOT IN (${FINISHED_STATUSES.map(() => '?').join(', ')})
+      RETURNING *
+    `, [status, serializedError, id, ...FINISHED_STATUSES]);
+
+    for (const row of stackRuns) {
+      this._recordChange('stackRun:updated', 'stack_run', this._parseStackRun(row), { fields: ['status', 'error'] });
+    }
+    return this.updateTaskRun(id, { status, error });
+  }
+
   async createStackRun(stackRun) {
-    const prepared = this.crudPatterns.buildStackRunCreate(stackRun);
+    const { idempotencyKey = null, ...fields } = stackRun;
+    const prepared = this.crudPatterns.buildStackRunCreate(fields);
 
+    // Stack runs inherit their task run's priority unless given one.
     const sql = `
-      INSERT INTO stack_runs (task_run_id, parent_stack_run_id, operation, status, input, result, error)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO stack_runs (
+        task_run_id, parent_stack_run_id, operation, status, input, result, error, max_attempts, next_run_at, priority,
+        idempotency_key, idempotency_expires_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, (SELECT priority FROM task_runs WHERE id = ?), 0), ?, ?)
     `;
 
-    this.db.run(sql, [
-      prepared.task_run_id ?? null,
-      prepared.parent_stack_run_id ?? null,
-      prepared.operation ?? null,
-      prepared.status ?? 'pending',
-      prepared.input || null,
-      prepared.result || null,
-      prepared.error || null
-    ]);
-
-    const result = this.db.exec('SELECT last_insert_rowid() as id');
-    const lastId = result[0]?.values[0]?.[0];
-    return this._getStackRunById(lastId);
+    return this.transaction(async (tx) => {
+      const existing = idempotencyKey === null ? null : tx._idempotentRow('stack_runs', idempotencyKey, prepared.task_run_id);
+      if (existing) return tx._parseStackRun(existing);
+
+      const { lastInsertRowid } = tx.db.run(sql, [
+        prepared.task_run_id ?? null,
+        prepared.parent_stack_run_id ?? null,
+        prepared.operation ?? null,
+        prepared.status ?? 'pending',
+        prepared.input || null,
+        prepared.result || null,
+        prepared.error || null,
+        prepared.max_attempts ?? null,
+        prepared.next_run_at instanceof Date ? prepared.next_run_at.getTime() : prepared.next_run_at ?? null,
+        prepared.priority ?? null,
+        prepared.task_run_id ?? null,
+        idempotencyKey,
+        this._idempotencyExpiresAt(idempotencyKey)
+      ]);
+
+      const record = tx._getStackRunById(lastInsertRowid);
+      tx._recordChange('stackRun:created', 'stack_run', record);
+      return record;
+    });
   }
 
   async getStackRun(id) {
+    await this._waitForTransaction();
     return this._getStackRunById(id);
   }
 
   _getStackRunById(id) {
-    const result = this.db.exec('SELECT * FROM stack_runs WHERE id = ?', [id]);
-    if (!result[0]) return null;
-
-    const row = result[0];
-    const cols = row.columns;
-    const values = row.values[0];
-
-    const obj = {};
-    cols.forEach((col, i) => obj[col] = values[i]);
-
-    return this._parseStackRun(obj);
+    const row = this.db.get('SELECT * FROM stack_runs WHERE id = ?', [id]);
+    return row ? this._parseStackRun(row) : null;
   }
 
   _parseStackRun(row) {
-    const deserialized = this.serializer.deserializeRecord(row);
+    const deserialized = this.serializer.deserializeRecord(withoutJsonIndexes(row));
     return this.crudPatterns.normalizeStackRunRecord(deserialized);
   }
 
   async updateStackRun(id, updates) {
     const prepared = this.crudPatterns.buildStackRunUpdate(updates);
     const keys = Object.keys(prepared);
-    const values = keys.map(k => prepared[k]);
+    assertUpdatableColumns('stack_runs', keys);
+    const values = keys.map(k => toColumnValue('stack_runs', k, prepared[k]));
+
+    // Any status change other than 'running' hands the row back, so the lease ends with it.
+    const releasesLease = prepared.status !== undefined && prepared.status !== 'running';
 
     const setClause = keys.map(k => `${k} = ?`).join(', ');
     const sql = `
       UPDATE stack_runs
-      SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+      SET ${setClause}, updated_at = CURRENT_TIMESTAMP${releasesLease ? ', lease_owner = NULL, lease_expires_at = NULL' : ''}
       WHERE id = ?
     `;
 
-    this.db.run(sql, [...values, id]);
-    return this._getStackRunById(id);
+    return this.transaction(async (tx) => {
+      tx.db.run(sql, [...values, id]);
+
+      const record = tx._getStackRunById(id);
+      if (record) {
+        tx._recordChange('stackRun:updated', 'stack_run', record, { fields: keys });
+      }
+      return record;
+    });
   }
 
-  async queryStackRuns(filter) {
-    let sql = 'SELECT * FROM stack_runs WHERE 1=1';
-    const values = [];
+  async queryStackRuns(filter = {}, options = {}) {
+    await this._waitForTransaction();
+    return this._query('stack_runs', filter, options).map(row => this._parseStackRun(row));
+  }
+
+  async queryStackRunsPage(filter = {}, options = {}) {
+    await this._waitForTransaction();
+    const { rows, nextCursor } = this._queryPage('stack_runs', filter, options);
+    return { items: rows.map(row => this._parseStackRun(row)), nextCursor };
+  }
+
+  async countStackRuns(filter = {}) {
+    await this._waitForTransaction();
+    return this._count('stack_runs', filter);
+  }
+
+  _query(table, filter, options) {
+    const { sql, values } = buildSelect(table, filter, options, this._indexedPaths[table]);
+    return this.db.all(sql, values);
+  }
+
+  _queryPage(table, filter, options) {
+    const limit = options.limit ?? 50;
+    // Fetch one extra row to know whether another page exists.
+    const { sql, values, terms } = buildSelect(table, filter, { ...options, limit: limit + 1 }, this._indexedPaths[table]);
+    const rows = this.db.all(sql, values);
+    const hasMore = rows.length > limit;
+    if (hasMore) rows.length = limit;
+
+    return { rows, nextCursor: hasMore ? encodeCursor(rows[rows.length - 1], terms) : null };
+  }
+
+  _count(table, filter) {
+    const { sql, values } = buildCount(table, filter, this._indexedPaths[table]);
+    return this.db.get(sql, values).count;
+  }
+
+  async createJsonIndex(table, jsonPath) {
+    this._assertJsonPath(table, jsonPath);
+    const created = await this.transaction(async (tx) => {
+      if (listJsonIndexes(tx.db)[table].includes(jsonPath)) return false;
+      jsonIndexStatements(table, jsonPath).forEach(stmt => tx.db.exec(stmt));
+      return true;
+    });
+
+    this._indexedPaths = listJsonIndexes(this.db);
+    if (created) logger.info('Created JSON path index', { table, path: jsonPath, dbPath: this.dbPath });
+    return created;
+  }
+
+  async dropJsonIndex(table, jsonPath) {
+    this._assertJsonPath(table, jsonPath);
+    const dropped = await this.transaction(async (tx) => {
+      if (!listJsonIndexes(tx.db)[table].includes(jsonPath)) return false;
+      dropJsonIndexStatements(table, jsonPath).forEach(stmt => tx.db.exec(stmt));
+      return true;
+    });
 
-    Object.entries(filter).forEach(([key, value]) => {
-      if (Array.isArray(value)) {
-        sql += ` AND ${key} IN (${value.map(() => '?').join(',')})`;
-        values.push(...value);
+    this._indexedPaths = listJsonIndexes(this.db);
+    return dropped;
+  }
+
+  async getJsonIndexes() {
+    await this._waitForTransaction();
+    return listJsonIndexes(this.db);
+  }
+
+  _assertJsonPath(table, jsonPath) {
+    if (!JSON_PATH_COLUMNS[table]) {
+      throw new TypeError(`Unknown table "${table}", expected one of: ${Object.keys(JSON_PATH_COLUMNS).join(', ')}`);
+    }
+    parseJsonPath(table, jsonPath);
+  }
+
+  async searchRuns(query, { table, status, limit = 20 } = {}) {
+    if (table !== undefined && !SEARCH_TABLES.includes(table)) {
+      throw new TypeError(`Unknown search table "${table}", expected one of: ${SEARCH_TABLES.join(', ')}`);
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new ValidationError('limit must be a positive integer', { field: 'limit' });
+    }
+    const match = toMatchExpression(query);
+
+    await this._waitForTransaction();
+    if (!this.searchModule) {
+      throw new SearchUnavailableError(`Full-text search is not available for this database on the ${this.db.name} driver`);
+    }
+
+    const parsers = { task_runs: row => this._parseTaskRun(row), stack_runs: row => this._parseStackRun(row) };
+    return (table ? [table] : SEARCH_TABLES)
+      .flatMap(name => searchRows(this.db, this.searchModule, name, match, buildWhere(name, { status }), limit)
+        .map(({ search_score: score, search_snippet: snippet, ...row }) => ({ table: name, score, snippet, run: parsers[name](row) })))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  async getStackRunTree(taskRunId) {
+    await this._waitForTransaction();
+    const runs = this.db.all('SELECT * FROM stack_runs WHERE task_run_id = ? ORDER BY id ASC', [taskRunId])
+      .map(row => ({ ...this._parseStackRun(row), children: [] }));
+
+    const byId = new Map(runs.map(run => [run.id, run]));
+    const roots = [];
+    for (const run of runs) {
+      const parent = byId.get(run.parent_stack_run_id);
+      if (parent) {
+        parent.children.push(run);
       } else {
-        sql += ` AND ${key} = ?`;
-        values.push(value);
+        roots.push(run);
+      }
+    }
+    return roots;
+  }
+
+  async getAncestors(stackRunId) {
+    await this._waitForTransaction();
+    // The visited path stops the walk if parent links ever form a cycle.
+    const sql = `
+      WITH RECURSIVE ancestors(id, depth, path) AS (
+        SELECT parent_stack_run_id, 1, ',' || id || ','
+        FROM stack_runs WHERE id = ? AND parent_stack_run_id IS NOT NULL
+        UNION ALL
+        SELECT s.parent_stack_run_id, a.depth + 1, a.path || s.id || ','
+        FROM stack_runs s JOIN ancestors a ON s.id = a.id
+        WHERE s.parent_stack_run_id IS NOT NULL
+          AND instr(a.path || s.id || ',', ',' || s.parent_stack_run_id || ',') = 0
+      )
+      SELECT s.* FROM stack_runs s JOIN ancestors a ON s.id = a.id
+      WHERE s.id != ?
+      ORDER BY a.depth ASC
+    `;
+
+    return this.db.all(sql, [stackRunId, stackRunId]).map(row => this._parseStackRun(row));
+  }
+
+  async getDescendants(stackRunId) {
+    await this._waitForTransaction();
+    const sql = `
+      WITH RECURSIVE descendants(id, depth, path) AS (
+        SELECT id, 1, ',' || ? || ',' || id || ','
+        FROM stack_runs WHERE parent_stack_run_id = ?
+        UNION ALL
+        SELECT s.id, d.depth + 1, d.path || s.id || ','
+        FROM stack_runs s JOIN descendants d ON s.parent_stack_run_id = d.id
+        WHERE instr(d.path, ',' || s.id || ',') = 0
+      )
+      SELECT s.* FROM stack_runs s JOIN descendants d ON s.id = d.id
+      ORDER BY d.depth ASC, s.id ASC
+    `;
+
+    return this.db.all(sql, [stackRunId, stackRunId]).map(row => this._parseStackRun(row));
+  }
+
+  async getPendingStackRuns({ limit, ...scheduling } = {}) {
+    await this._waitForTransaction();
+    const { sql, params } = this._pendingStackRunsQuery({ ...this.scheduling, ...scheduling }, limit, Date.now());
+    return this.db.all(sql, params).map(row => this._parseStackRun(row));
+  }
+
+  async claimNextStackRun(workerId, { leaseMs = this.leaseMs, ...scheduling } = {}) {
+    return this.transaction(async (tx) => {
+      const now = Date.now();
+      const pending = tx._pendingStackRunsQuery({ ...tx.scheduling, ...scheduling }, 1, now);
+
+      // A single UPDATE ... RETURNING runs under SQLite's write lock, so two
+      // workers can never take the same row, even across processes.
+      const sql = `
+        UPDATE stack_runs
+        SET lease_owner = ?, lease_expires_at = ?
+        WHERE id = (SELECT id FROM (${pending.sql}))
+        RETURNING *
+      `;
+
+      const row = tx.db.get(sql, [workerId, now + leaseMs, ...pending.params]);
+      return row ? tx._recordLeaseChange(row, ['lease_owner', 'lease_expires_at']) : null;
+    });
+  }
+
+  _recordLeaseChange(row, fields) {
+    const record = this._parseStackRun(row);
+    this._recordChange('stackRun:updated', 'stack_run', record, { fields });
+    return record;
+  }
+
+  _assertScheduling({ fairness, maxInFlight }) {
+    if (!FAIRNESS_MODES.includes(fairness)) {
+      throw new TypeError(`Unknown fairness mode "${fairness}", expected one of: ${FAIRNESS_MODES.join(', ')}`);
+    }
+    if (maxInFlight !== null && maxInFlight !== undefined && !(Number.isInteger(maxInFlight) && maxInFlight > 0)) {
+      throw new TypeError('maxInFlight must be a positive integer');
+    }
+  }
+
+  // Highest priority first, then insertion order. Fairness is applied per task_identifier:
+  // round-robin interleaves identifiers within a priority, and maxInFlight caps how many
+  // stack runs of one identifier may be running or leased at once.
+  _pendingStackRunsQuery(scheduling, limit, now) {
+    this._assertScheduling(scheduling);
+    const { fairness, maxInFlight } = scheduling;
+    const capped = maxInFlight !== null && maxInFlight !== undefined;
+
+    const sql = `
+      WITH candidates AS (
+        SELECT s.id, s.priority, t.task_identifier AS fair_key,
+          ROW_NUMBER() OVER (PARTITION BY t.task_identifier ORDER BY s.priority DESC, s.id ASC) AS fair_rank
+        FROM stack_runs s
+        LEFT JOIN task_runs t ON t.id = s.task_run_id
+        WHERE s.status IN ${CLAIMABLE_STATUSES}
+          AND (s.lease_owner IS NULL OR s.lease_expires_at <= ?)
+          AND (s.next_run_at IS NULL OR s.next_run_at <= ?)
+      ),
+      in_flight AS (
+        SELECT t.task_identifier AS fair_key, COUNT(*) AS running
+        FROM stack_runs s
+        JOIN task_runs t ON t.id = s.task_run_id
+        WHERE s.status = 'running' OR (s.lease_owner IS NOT NULL AND s.lease_expires_at > ?)
+        GROUP BY t.task_identifier
+      )
+      SELECT s.* FROM candidates c
+      JOIN stack_runs s ON s.id = c.id
+      LEFT JOIN in_flight f ON f.fair_key IS c.fair_key
+      ${capped ? 'WHERE c.fair_rank <= ? - COALESCE(f.running, 0)' : ''}
+      ORDER BY c.priority DESC, ${fairness === 'round-robin' ? 'c.fair_rank ASC, ' : ''}c.id ASC
+      LIMIT ?
+    `;
+
+    return { sql, params: [now, now, now, ...(capped ? [maxInFlight] : []), limit ?? -1] };
+  }
+
+  async renewStackRunLease(id, workerId, { leaseMs = this.leaseMs } = {}) {
+    return this.transaction(async (tx) => {
+      const now = Date.now();
+      const row = tx.db.get(`
+        UPDATE stack_runs
+        SET lease_expires_at = ?
+        WHERE id = ? AND lease_owner = ? AND lease_expires_at > ?
+        RETURNING *
+      `, [now + leaseMs, id, workerId, now]);
+
+      if (row) tx._recordLeaseChange(row, ['lease_expires_at']);
+      return row !== null;
+    });
+  }
+
+  async releaseStackRun(id, workerId) {
+    return this.transaction(async (tx) => {
+      const row = tx.db.get(`
+        UPDATE stack_runs
+        SET lease_owner = NULL, lease_expires_at = NULL
+        WHERE id = ? AND lease_owner = ?
+        RETURNING *
+      `, [id, workerId]);
+
+      if (row) tx._recordLeaseChange(row, ['lease_owner', 'lease_expires_at']);
+      return row !== null;
+    });
+  }
+
+  async suspendStackRun(id, { waitingOn = null } = {}) {
+    return this.transaction(async (tx) => {
+      const row = tx._stackRunForTransition(id, SUSPENDABLE_STATUSES, 'suspended_waiting_child');
+      if (waitingOn !== null) {
+        const child = tx.db.get('SELECT task_run_id FROM stack_runs WHERE id = ?', [waitingOn]);
+        if (!child || child.task_run_id !== row.task_run_id) {
+          throw new NotFoundError(`Stack run ${waitingOn} not found in task run ${row.task_run_id}`, { id: waitingOn });
+        }
       }
+
+      return tx.updateStackRun(id, {
+        status: 'suspended_waiting_child',
+        suspended_at: toSqlTimestamp(new Date()),
+        waiting_on: waitingOn,
+        resume_payload: null
+      });
     });
+  }
 
-    const result = this.db.exec(sql, values);
-    if (!result[0]) return [];
+  async resumeStackRun(id, payload = null) {
+    return this.transaction(async (tx) => {
+      tx._stackRunForTransition(id, ['suspended_waiting_child'], 'pending');
+      return tx.updateStackRun(id, { status: 'pending', suspended_at: null, waiting_on: null, resume_payload: payload });
+    });
+  }
 
-    const cols = result[0].columns;
-    return result[0].values.map(row => {
-      const obj = {};
-      cols.forEach((col, i) => obj[col] = row[i]);
-      return this._parseStackRun(obj);
+  _stackRunForTransition(id, allowed, to) {
+    const row = this.db.get('SELECT id, task_run_id, status, attempts, max_attempts FROM stack_runs WHERE id = ?', [id]);
+    if (!row) throw new NotFoundError(`Stack run ${id} not found`, { id });
+    if (!allowed.includes(row.status)) {
+      throw new InvalidTransitionError(
+        `Cannot move stack run ${id} from ${row.status} to ${to}; expected one of: ${allowed.join(', ')}`,
+        { id, from: row.status, to }
+      );
+    }
+    return row;
+  }
+
+  async getSuspendedStackRuns({ olderThan, taskRunId, limit } = {}) {
+    await this._waitForTransaction();
+    const conditions = [`status = 'suspended_waiting_child'`];
+    const values = [];
+    if (olderThan !== undefined) {
+      const cutoff = olderThan instanceof Date ? olderThan : new Date(Date.now() - olderThan);
+      conditions.push('suspended_at < ?');
+      values.push(toSqlTimestamp(cutoff));
+    }
+    if (taskRunId !== undefined) {
+      conditions.push('task_run_id = ?');
+      values.push(taskRunId);
+    }
+
+    const sql = `
+      SELECT * FROM stack_runs
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY suspended_at ASC, id ASC
+      LIMIT ?
+    `;
+    return this.db.all(sql, [...values, limit ?? -1]).map(row => this._parseStackRun(row));
+  }
+
+  async failStackRun(id, error, { retry = true, delay } = {}) {
+    const details = error instanceof Error ? { name: error.name, message: error.message, stack: error.stack } : error;
+
+    return this.transaction(async (tx) => {
+      // A finished or cancelled run must not come back as a retry.
+      const row = tx._stackRunForTransition(id, FAILABLE_STATUSES, 'failed');
+      const attempts = row.attempts + 1;
+      const retries = retry && attempts < (row.max_attempts ?? this.retry.maxAttempts);
+
+      return tx.updateStackRun(id, {
+        status: retries ? 'pending' : 'failed',
+        error: details,
+        attempts,
+        next_run_at: retries ? Date.now() + (delay ?? this._backoff(attempts)) : null
+      });
     });
   }
 
-  async getPendingStackRuns() {
+  _backoff(attempts) {
+    const { baseDelay, maxDelay, factor, jitter } = this.retry;
+    const delay = Math.min(maxDelay, baseDelay * factor ** (attempts - 1));
+    return Math.round(delay * (1 - jitter * Math.random()));
+  }
+
+  // Failed runs that used up their attempts; runs failed with { retry: false } early are not included.
+  async getDeadLetterStackRuns({ taskRunId, limit } = {}) {
+    await this._waitForTransaction();
     const sql = `
       SELECT * FROM stack_runs
-      WHERE status IN ('pending', 'suspended_waiting_child')
-      ORDER BY created_at ASC
+      WHERE status = 'failed'
+        AND attempts >= COALESCE(max_attempts, ?)
+        ${taskRunId === undefined ? '' : 'AND task_run_id = ?'}
+      ORDER BY updated_at ASC, id ASC
+      LIMIT ?
     `;
 
-    const result = this.db.exec(sql);
-    if (!result[0]) return [];
+    const params = [this.retry.maxAttempts, ...(taskRunId === undefined ? [] : [taskRunId]), limit ?? -1];
+    return this.db.all(sql, params).map(row => this._parseStackRun(row));
+  }
+
+  async requeueStackRun(id, { delay = 0 } = {}) {
+    return this.transaction(async (tx) => {
+      const row = tx.db.get('SELECT status FROM stack_runs WHERE id = ?', [id]);
+      if (!row) throw new NotFoundError(`Stack run ${id} not found`, { id });
+      if (row.status !== 'failed') {
+        throw new ValidationError(`Stack run ${id} is ${row.status}; only failed stack runs can be requeued`, { id, status: row.status });
+      }
+
+      return tx.updateStackRun(id, {
+        status: 'pending',
+        attempts: 0,
+        next_run_at: delay > 0 ? Date.now() + delay : null
+      });
+    });
+  }
+
+  async reclaimExpiredLeases() {
+    const count = await this.transaction(async (tx) => {
+      const expired = 'lease_owner IS NOT NULL AND lease_expires_at <= ?';
+      const now = Date.now();
+      const running = new Set(tx.db.all(`SELECT id FROM stack_runs WHERE ${expired} AND status = 'running'`, [now]).map(row => row.id));
+
+      // Rows a crashed worker left 'running' go back to 'pending' so another worker can claim them.
+      const rows = tx.db.all(`
+        UPDATE stack_runs
+        SET lease_owner = NULL,
+            lease_expires_at = NULL,
+            status = CASE WHEN status = 'running' THEN 'pending' ELSE status END
+        WHERE ${expired}
+        RETURNING *
+      `, [now]);
+
+      for (const row of rows) {
+        tx._recordLeaseChange(row, running.has(row.id) ? ['lease_owner', 'lease_expires_at', 'status'] : ['lease_owner', 'lease_expires_at']);
+      }
+      return rows.length;
+    });
+
+    if (count > 0) {
+      logger.info('Reclaimed expired stack run leases', { count });
+    }
+    return count;
+  }
+
+  async scheduleTaskRun(identifier, input, { runAt, cron } = {}) {
+    if ((runAt === undefined) === (cron === undefined)) {
+      throw new ValidationError('Pass exactly one of runAt or cron', { field: 'runAt' });
+    }
+
+    const nextRunAt = cron === undefined ? toEpochMs(runAt) : nextCronTime(cron).getTime();
+    if (!Number.isFinite(nextRunAt)) {
+      throw new ValidationError(`Invalid runAt "${runAt}"`, { field: 'runAt' });
+    }
 
-    const cols = result[0].columns;
-    return result[0].values.map(row => {
-      const obj = {};
-      cols.forEach((col, i) => obj[col] = row[i]);
-      return this._parseStackRun(obj);
+    const prepared = this.crudPatterns.buildTaskRunCreate({ task_identifier: identifier, input });
+    await this._waitForTransaction();
+    const { lastInsertRowid } = this.db.run(
+      'INSERT INTO schedules (task_identifier, input, cron, next_run_at) VALUES (?, ?, ?, ?)',
+      [identifier, prepared.input || null, cron ?? null, nextRunAt]
+    );
+    await this._afterWrite();
+    return this.getSchedule(lastInsertRowid);
+  }
+
+  // Creating the run and advancing the schedule commit together, so each
+  // occurrence becomes exactly one task run even across processes and restarts.
+  async dueSchedules(now = new Date()) {
+    const at = toEpochMs(now);
+
+    return this.transaction(async (tx) => {
+      const due = tx.db.all(
+        'SELECT * FROM schedules WHERE enabled = 1 AND next_run_at <= ? ORDER BY next_run_at ASC, id ASC',
+        [at]
+      );
+
+      const created = [];
+      for (const schedule of due) {
+        const occurrence = { scheduleId: schedule.id, scheduledFor: schedule.next_run_at };
+        const exists = tx.db.get(
+          'SELECT id FROM task_runs WHERE schedule_id = ? AND scheduled_for = ?',
+          [schedule.id, schedule.next_run_at]
+        );
+        const taskRun = exists ? null : tx._insertTaskRun({
+          task_identifier: schedule.task_identifier,
+          status: 'pending',
+          input: schedule.input
+        }, occurrence);
+
+        // Occurrences missed while nothing was polling collapse into this one run.
+        const nextRunAt = schedule.cron ? nextCronTime(schedule.cron, at).getTime() : null;
+        tx.db.run(`
+          UPDATE schedules
+          SET next_run_at = ?, enabled = ?, last_run_at = ?, last_task_run_id = COALESCE(?, last_task_run_id),
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [nextRunAt, schedule.cron ? 1 : 0, schedule.next_run_at, taskRun?.id ?? null, schedule.id]);
+
+        if (taskRun) created.push(taskRun);
+      }
+      return created;
     });
   }
 
+  async getSchedule(id) {
+    await this._waitForTransaction();
+    const row = this.db.get('SELECT * FROM schedules WHERE id = ?', [id]);
+    return row ? this._parseSchedule(row) : null;
+  }
+
+  async listSchedules({ taskIdentifier, enabled } = {}) {
+    await this._waitForTransaction();
+    const conditions = [];
+    const params = [];
+    if (taskIdentifier !== undefined) {
+      conditions.push('task_identifier = ?');
+      params.push(taskIdentifier);
+    }
+    if (enabled !== undefined) {
+      conditions.push('enabled = ?');
+      params.push(enabled);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.db.all(`SELECT * FROM schedules ${where} ORDER BY id ASC`, params).map(row => this._parseSchedule(row));
+  }
+
+  async deleteSchedule(id) {
+    await this._waitForTransaction();
+    const { changes } = this.db.run('DELETE FROM schedules WHERE id = ?', [id]);
+    if (changes > 0) await this._afterWrite();
+    return changes > 0;
+  }
+
+  _parseSchedule(row) {
+    return {
+      ...row,
+      input: row.input === null ? null : this.serializer.deserializeObject(row.input),
+      enabled: Boolean(row.enabled)
+    };
+  }
+
   async storeTaskFunction(taskFunction) {
     const prepared = this.crudPatterns.buildTaskFunctionCreate(taskFunction);
+    const identifier = prepared.identifier || taskFunction.identifier;
+    const metadata = prepared.metadata || null;
+    const hash = hashCode(prepared.code);
+
+    await this.transaction(async (tx) => {
+      const current = tx.db.get(`
+        SELECT v.hash, v.metadata FROM task_functions f
+        JOIN task_function_versions v ON v.identifier = f.identifier AND v.version = f.current_version
+        WHERE f.identifier = ?
+      `, [identifier]);
+
+      // Storing identical code and metadata again keeps the current version.
+      if (current && current.hash === hash && current.metadata === metadata) return;
+
+      const { version } = tx.db.get(
+        'SELECT COALESCE(MAX(version), 0) + 1 AS version FROM task_function_versions WHERE identifier = ?',
+        [identifier]
+      );
+
+      tx.db.run(`
+        INSERT INTO task_function_versions (identifier, version, code, metadata, hash)
+        VALUES (?, ?, ?, ?, ?)
+      `, [identifier, version, prepared.code, metadata, hash]);
+
+      tx._setCurrentTaskFunction(identifier, version, prepared.code, metadata);
+    });
+
+    return this.getTaskFunction(identifier);
+  }
 
+  _setCurrentTaskFunction(identifier, version, code, metadata) {
     const sql = `
-      INSERT OR REPLACE INTO task_functions (identifier, code, metadata)
-      VALUES (?, ?, ?)
+      INSERT INTO task_functions (identifier, code, metadata, current_version)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(identifier) DO UPDATE SET
+        code = excluded.code,
+        metadata = excluded.metadata,
+        current_version = excluded.current_version,
+        updated_at = CURRENT_TIMESTAMP
     `;
 
-    this.db.run(sql, [
-      prepared.identifier || taskFunction.identifier,
-      prepared.code,
-      prepared.metadata || null
-    ]);
+    this.db.run(sql, [identifier, code, metadata, version]);
+  }
 
-    return this.getTaskFunction(prepared.identifier || taskFunction.identifier);
+  async getTaskFunction(identifier, { version } = {}) {
+    await this._waitForTransaction();
+    const row = version === undefined
+      ? this.db.get(`
+          SELECT f.*, v.version, v.hash FROM task_functions f
+          LEFT JOIN task_function_versions v ON v.identifier = f.identifier AND v.version = f.current_version
+          WHERE f.identifier = ?
+        `, [identifier])
+      : this.db.get('SELECT * FROM task_function_versions WHERE identifier = ? AND version = ?', [identifier, version]);
+    if (!row) return null;
+
+    return this._parseTaskFunction(row);
   }
 
-  async getTaskFunction(identifier) {
-    const result = this.db.exec('SELECT * FROM task_functions WHERE identifier = ?', [identifier]);
-    if (!result[0]) return null;
+  _parseTaskFunction(row) {
+    const deserialized = this.serializer.deserializeRecord(row);
+    return this.crudPatterns.normalizeTaskFunctionRecord(deserialized);
+  }
 
-    const row = result[0];
-    const cols = row.columns;
-    const values = row.values[0];
+  async listTaskFunctionVersions(identifier) {
+    await this._waitForTransaction();
+    const sql = `
+      SELECT v.*, (v.version = f.current_version) AS current
+      FROM task_function_versions v
+      LEFT JOIN task_functions f ON f.identifier = v.identifier
+      WHERE v.identifier = ?
+      ORDER BY v.version ASC
+    `;
 
-    const obj = {};
-    cols.forEach((col, i) => obj[col] = values[i]);
+    return this.db.all(sql, [identifier]).map(row => ({
+      ...this._parseTaskFunction(row),
+      current: Boolean(row.current)
+    }));
+  }
 
-    const deserialized = this.serializer.deserializeRecord(obj);
-    return this.crudPatterns.normalizeTaskFunctionRecord(deserialized);
+  async rollbackTaskFunction(identifier, version) {
+    await this.transaction(async (tx) => {
+      const target = tx.db.get(
+        'SELECT * FROM task_function_versions WHERE identifier = ? AND version = ?',
+        [identifier, version]
+      );
+      if (!target) {
+        throw new NotFoundError(`Task function "${identifier}" has no version ${version}`, { identifier, version });
+      }
+
+      tx._setCurrentTaskFunction(identifier, target.version, target.code, target.metadata);
+    });
+
+    return this.getTaskFunction(identifier);
+  }
+
+  async setKeystore(key, value, { ttl } = {}) {
+    await this._waitForTransaction();
+    this._upsertKeystore(key, value, ttl);
+    await this._afterWrite();
   }
 
-  async setKeystore(key, value) {
+  async setManyKeystore(entries, { ttl } = {}) {
+    const pairs = Array.isArray(entries) ? entries : Object.entries(entries);
+    await this.transaction(async (tx) => {
+      for (const [key, value] of pairs) {
+        tx._upsertKeystore(key, value, ttl);
+      }
+    });
+  }
+
+  _upsertKeystore(key, value, ttl) {
     const prepared = this.crudPatterns.buildKeystoreCreate({ key, value });
 
     const sql = `
-      INSERT OR REPLACE INTO keystore (key, value)
-      VALUES (?, ?)
+      INSERT INTO keystore (key, value, expires_at)
+      VALUES (?, ?, ?)
+      ON CONFLICT(key) DO UPDATE SET
+        value = excluded.value,
+        expires_at = excluded.expires_at,
+        updated_at = CURRENT_TIMESTAMP
     `;
 
-    this.db.run(sql, [prepared.key, prepared.value]);
+    this.db.run(sql, [prepared.key, this._encodeKeystoreValue(prepared.value), this._expiresAt(ttl)]);
+  }
+
+  _encodeKeystoreValue(value) {
+    return this.encryptor ? this.encryptor.encryptValue(value) : value;
+  }
+
+  // Values written before a key was configured stay readable and are encrypted on their next write.
+  _decodeKeystoreValue(value) {
+    if (!isEncryptedValue(value)) return value;
+    if (!this.encryptor) {
+      throw new DecryptionError('Keystore value is encrypted; pass encryptionKey to read it');
+    }
+    return this.encryptor.decryptValue(value);
+  }
+
+  _parseKeystoreValue(value) {
+    return this.serializer.deserializeObject(this._decodeKeystoreValue(value));
+  }
+
+  _expiresAt(ttl) {
+    return ttl === undefined || ttl === null ? null : Date.now() + ttl;
   }
 
   async getKeystore(key) {
-    const result = this.db.exec('SELECT value FROM keystore WHERE key = ?', [key]);
-    if (!result[0]) return null;
+    await this._waitForTransaction();
+    const row = this.db.get(`
+      SELECT value FROM keystore
+      WHERE key = ? AND (expires_at IS NULL OR expires_at > ?)
+    `, [key, Date.now()]);
+    if (!row) return null;
+
+    return this._parseKeystoreValue(row.value);
+  }
+
+  async getManyKeystore(keys) {
+    await this._waitForTransaction();
+    if (keys.length === 0) return {};
+
+    const rows = this.db.all(`
+      SELECT key, value FROM keystore
+      WHERE key IN (${keys.map(() => '?').join(', ')}) AND (expires_at IS NULL OR expires_at > ?)
+    `, [...keys, Date.now()]);
 
-    const value = result[0].values[0][0];
-    return this.serializer.deserializeObject(value);
+    return Object.fromEntries(rows.map(row => [row.key, this._parseKeystoreValue(row.value)]));
+  }
+
+  async listKeystore(prefix = '', { limit } = {}) {
+    await this._waitForTransaction();
+    const rows = this.db.all(`
+      SELECT key, value, expires_at FROM keystore
+      WHERE substr(key, 1, length(?)) = ? AND (expires_at IS NULL OR expires_at > ?)
+      ORDER BY key ASC
+      LIMIT ?
+    `, [prefix, prefix, Date.now(), limit ?? -1]);
+
+    return rows.map(row => ({
+      key: row.key,
+      value: this._parseKeystoreValue(row.value),
+      expiresAt: row.expires_at
+    }));
+  }
+
+  async compareAndSetKeystore(key, expected, value, { ttl } = {}) {
+    // Compare decoded values: encrypted values never match byte for byte.
+    return this.transaction(async (tx) => {
+      const row = tx.db.get(
+        'SELECT value FROM keystore WHERE key = ? AND (expires_at IS NULL OR expires_at > ?)',
+        [key, Date.now()]
+      );
+      const current = row ? tx._decodeKeystoreValue(row.value) : null;
+      const wanted = expected === null ? null : tx.crudPatterns.buildKeystoreCreate({ key, value: expected }).value;
+      if (current !== wanted) return false;
+
+      if (value === null) {
+        tx.db.run('DELETE FROM keystore WHERE key = ?', [key]);
+      } else {
+        tx._upsertKeystore(key, value, ttl);
+      }
+      return true;
+    });
   }
 
   async deleteKeystore(key) {
+    await this._waitForTransaction();
     this.db.run('DELETE FROM keystore WHERE key = ?', [key]);
+    await this._afterWrite();
   }
 
-  async close() {
-    if (this.db && this.dbPath !== ':memory:') {
+  async sweepKeystore() {
+    await this._waitForTransaction();
+    const { changes } = this.db.run(
+      'DELETE FROM keystore WHERE expires_at IS NOT NULL AND expires_at <= ?',
+      [Date.now()]
+    );
+
+    if (changes > 0) await this._afterWrite();
+    return changes;
+  }
+
+  on(event, listener) {
+    this.events.on(event, listener);
+    return this;
+  }
+
+  once(event, listener) {
+    this.events.once(event, listener);
+    return this;
+  }
+
+  off(event, listener) {
+    this.events.off(event, listener);
+    return this;
+  }
+
+  // Must run inside a transaction: the log row commits with the change, and
+  // listeners only hear about it once the outermost transaction has committed.
+  _recordChange(event, entity, record, payload = {}) {
+    let seq = null;
+    if (this.changeLog) {
+      ({ lastInsertRowid: seq } = this.db.run(
+        'INSERT INTO change_log (event, entity, entity_id, payload) VALUES (?, ?, ?, ?)',
+        [event, entity, record.id, JSON.stringify(payload)]
+      ));
+    }
+    this._tx.changes.push({ seq, event, entity, entity_id: record.id, payload, record });
+  }
+
+  _dispatchChange(change) {
+    try {
+      this.events.emit(change.event, change);
+      this.events.emit('change', change);
+    } catch (err) {
+      logger.error('Error in change listener', { error: err.message, event: change.event });
+    }
+  }
+
+  async getChanges({ after = 0, limit = 100 } = {}) {
+    await this._waitForTransaction();
+    if (after > 0) this._assertNoChangeGap(after);
+    const rows = this.db.all('SELECT * FROM change_log WHERE seq > ? ORDER BY seq ASC LIMIT ?', [after, limit]);
+    return rows.map(row => ({ ...row, payload: row.payload ? JSON.parse(row.payload) : null }));
+  }
+
+  // Trimmed changes leave nothing behind to read, so a cursor older than the oldest kept change would skip them unnoticed.
+  _assertNoChangeGap(after) {
+    const { oldest } = this.db.get(`
+      SELECT COALESCE(
+        (SELECT MIN(seq) FROM change_log),
+        (SELECT seq + 1 FROM sqlite_sequence WHERE name = 'change_log'),
+        1
+      ) AS oldest
+    `);
+    if (after < oldest - 1) {
+      throw new ChangeLogGapError(`Changes after seq ${after} have been trimmed; the oldest kept change is ${oldest}`, {
+        after,
+        oldestSeq: oldest
+      });
+    }
+  }
+
+  async trimChanges({ beforeSeq, olderThan, keepLast } = {}) {
+    await this._waitForTransaction();
+    if (beforeSeq === undefined && olderThan === undefined && keepLast === undefined) {
+      throw new ValidationError('trimChanges() needs beforeSeq, olderThan or keepLast', { field: 'beforeSeq' });
+    }
+
+    const conditions = [];
+    const values = [];
+    if (beforeSeq !== undefined) {
+      conditions.push('seq < ?');
+      values.push(beforeSeq);
+    }
+    if (olderThan !== undefined) {
+      const cutoff = olderThan instanceof Date ? olderThan : new Date(Date.now() - olderThan);
+      conditions.push('created_at < ?');
+      values.push(toSqlTimestamp(cutoff));
+    }
+    if (keepLast !== undefined) {
+      conditions.push('seq NOT IN (SELECT seq FROM change_log ORDER BY seq DESC LIMIT ?)');
+      values.push(keepLast);
+    }
+
+    const { changes } = this.db.run(`DELETE FROM change_log WHERE ${conditions.join(' AND ')}`, values);
+    if (changes > 0) await this._afterWrite();
+    return changes;
+  }
+
+  exportData({ batchSize = 500 } = {}) {
+    return Readable.from(this._exportLines(batchSize));
+  }
+
+  // Reads from a copy taken when the export starts, so writes made while it streams cannot leave a record in
+  // the dump without the runs it links to.
+  async *_exportLines(batchSize) {
+    await this._waitForTransaction();
+    const copyPath = path.join(os.tmpdir(), `sqlite-adapter-export-${process.pid}-${randomUUID()}.db`);
+    let source;
+    try {
+      // An image copy stays encrypted on disk like the database file.
+      const inMemoryImage = this.db.inMemoryImage;
+      if (inMemoryImage) {
+        await fse.writeFile(copyPath, this._sealImage(this.db.export()));
+      } else {
+        this.db.run('VACUUM INTO ?', [copyPath]);
+      }
+      source = await openDriver(copyPath, {
+        ...this.driverOptions,
+        encryptor: inMemoryImage ? this.driverOptions.encryptor : null,
+        journalMode: 'DELETE'
+      });
+      yield* this._exportSnapshot(source, batchSize);
+    } finally {
+      source?.close();
+      await fse.remove(copyPath);
+    }
+  }
+
+  async *_exportSnapshot(source, batchSize) {
+    yield toLine({
+      type: 'header',
+      format: EXPORT_FORMAT,
+      version: EXPORT_FORMAT_VERSION,
+      schemaVersion: getSchemaVersion(source),
+      exportedAt: new Date().toISOString()
+    });
+
+    for (const row of this._exportRows(source, 'task_runs', batchSize)) {
+      yield toLine({ type: 'taskRun', record: this._parseTaskRun(row) });
+    }
+
+    for (const row of this._exportRows(source, 'stack_runs', batchSize)) {
+      yield toLine({ type: 'stackRun', record: this._parseStackRun(row) });
+    }
+
+    for (const row of this._exportRows(source, 'task_functions', batchSize)) {
+      const versions = source.all(
+        'SELECT version, code, metadata, hash, created_at FROM task_function_versions WHERE identifier = ? ORDER BY version',
+        [row.identifier]
+      );
+      yield toLine({
+        type: 'taskFunction',
+        record: { ...this._parseTaskFunction(row), versions: versions.map(version => this._parseTaskFunction(version)) }
+      });
+    }
+
+    const live = 'AND (expires_at IS NULL OR expires_at > ?)';
+    for (const row of this._exportRows(source, 'keystore', batchSize, live, [Date.now()])) {
+      yield toLine({
+        type: 'keystore',
+        record: { key: row.key, value: this._parseKeystoreValue(row.value), expiresAt: row.expires_at }
+      });
+    }
+  }
+
+  // Pages by id so a large table is never held in memory at once.
+  *_exportRows(source, table, batchSize, where = '', params = []) {
+    let after = 0;
+    while (true) {
+      const rows = source.all(
+        `SELECT * FROM ${table} WHERE id > ? ${where} ORDER BY id LIMIT ?`,
+        [after, ...params, batchSize]
+      );
+      yield* rows;
+      if (rows.length < batchSize) return;
+      after = rows[rows.length - 1].id;
+    }
+  }
+
+  async importData(stream, { onConflict = 'error' } = {}) {
+    if (!IMPORT_CONFLICT_MODES.includes(onConflict)) {
+      throw new TypeError(`Unknown onConflict mode "${onConflict}", expected one of: ${IMPORT_CONFLICT_MODES.join(', ')}`);
+    }
+
+    const summary = { taskRuns: 0, stackRuns: 0, taskFunctions: 0, keystore: 0, skipped: 0 };
+    const ids = { taskRuns: new Map(), stackRuns: new Map() };
+
+    await this.transaction(async (tx) => {
+      // Parents and waited-on runs exported after the runs linking to them are linked once every stack run exists.
+      const unresolvedLinks = [];
+
+      for await (const { type, record, ...entry } of readLines(stream)) {
+        if (type === 'header') {
+          if (entry.format !== EXPORT_FORMAT) {
+            throw new ValidationError(`Unsupported export format "${entry.format}"`, { format: entry.format });
+          }
+        } else if (type === 'taskRun') {
+          ids.taskRuns.set(record.id, tx._insertImported('task_runs', record));
+          summary.taskRuns++;
+        } else if (type === 'stackRun') {
+          const taskRunId = ids.taskRuns.get(record.task_run_id);
+          if (taskRunId === undefined) {
+            throw new ValidationError(`Stack run ${record.id} references task run ${record.task_run_id}, which is not in the export`, {
+              stackRunId: record.id,
+              taskRunId: record.task_run_id
+            });
+          }
+          const links = STACK_RUN_LINKS.map(column => [column, record[column] ?? null]);
+          const id = tx._insertImported('stack_runs', {
+            ...record,
+            task_run_id: taskRunId,
+            ...Object.fromEntries(links.map(([column, linkedId]) => [column, linkedId === null ? null : ids.stackRuns.get(linkedId) ?? null]))
+          });
+          for (const [column, linkedId] of links) {
+            if (linkedId !== null && !ids.stackRuns.has(linkedId)) unresolvedLinks.push({ id, column, linkedId, exportedId: record.id });
+          }
+          ids.stackRuns.set(record.id, id);
+          summary.stackRuns++;
+        } else if (type === 'taskFunction') {
+          if (tx._importTaskFunction(record, onConflict)) summary.taskFunctions++;
+          else summary.skipped++;
+        } else if (type === 'keystore') {
+          if (tx._importKeystore(record, onConflict)) summary.keystore++;
+          else summary.skipped++;
+        } else {
+          throw new ValidationError(`Unknown export entry type "${type}"`, { type });
+        }
+      }
+
+      for (const { id, column, linkedId, exportedId } of unresolvedLinks) {
+        if (!ids.stackRuns.has(linkedId)) {
+          throw new ValidationError(`Stack run ${exportedId} references stack run ${linkedId} in ${column}, which is not in the export`, {
+            stackRunId: exportedId,
+            field: column,
+            linkedStackRunId: linkedId
+          });
+        }
+        tx.db.run(`UPDATE stack_runs SET ${column} = ? WHERE id = ?`, [ids.stackRuns.get(linkedId), id]);
+      }
+    });
+
+    return { ...summary, ids };
+  }
+
+  _insertImported(table, record) {
+    const columns = COLUMNS[table].filter(column => !NOT_IMPORTED.includes(column) && record[column] !== undefined);
+    const values = columns.map(column => {
+      const value = record[column];
+      return JSON_COLUMNS.includes(column) && value !== null ? this.serializer.serializeObject(value) : value;
+    });
+
+    const { lastInsertRowid } = this.db.run(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      values
+    );
+    return lastInsertRowid;
+  }
+
+  _importTaskFunction(record, onConflict) {
+    const { identifier } = record;
+    const exists = Boolean(this.db.get('SELECT 1 FROM task_functions WHERE identifier = ?', [identifier]));
+    if (exists) {
+      if (onConflict === 'error') throw new ValidationError(`Task function "${identifier}" already exists`, { identifier });
+      if (onConflict === 'skip') return false;
+      this.db.run('DELETE FROM task_function_versions WHERE identifier = ?', [identifier]);
+    }
+
+    const serialize = (metadata) => (metadata === null || metadata === undefined ? null : this.serializer.serializeObject(metadata));
+    // Exports from adapters without versioning carry only the current code.
+    const versions = record.versions?.length
+      ? record.versions
+      : [{ version: 1, code: record.code, metadata: record.metadata }];
+
+    for (const version of versions) {
+      this.db.run(`
+        INSERT INTO task_function_versions (identifier, version, code, metadata, hash, created_at)
+        VALUES (?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+      `, [identifier, version.version, version.code, serialize(version.metadata), hashCode(version.code), version.created_at ?? null]);
+    }
+
+    const current = versions.find(version => version.version === record.current_version) ?? versions[versions.length - 1];
+    this._setCurrentTaskFunction(identifier, current.version, current.code, serialize(current.metadata));
+    return true;
+  }
+
+  _importKeystore({ key, value, expiresAt }, onConflict) {
+    if (expiresAt !== null && expiresAt !== undefined && expiresAt <= Date.now()) return false;
+
+    const exists = Boolean(this.db.get(
+      'SELECT 1 FROM keystore WHERE key = ? AND (expires_at IS NULL OR expires_at > ?)',
+      [key, Date.now()]
+    ));
+    if (exists) {
+      if (onConflict === 'error') throw new ValidationError(`Keystore key "${key}" already exists`, { key });
+      if (onConflict === 'skip') return false;
+    }
+
+    this._upsertKeystore(key, value, expiresAt === null || expiresAt === undefined ? undefined : expiresAt - Date.now());
+    return true;
+  }
+
+  async getStats({ since, taskIdentifier, bucket } = {}) {
+    await this._waitForTransaction();
+    return collectStats(this.db, { since, taskIdentifier, bucket, finishedStatuses: FINISHED_STATUSES });
+  }
+
+  // The change log is only trimmed when the policy opts in with changeLog.
+  async _applyRetention({ changeLog, ...policy }) {
+    if (policy.olderThan !== undefined || policy.keepLast !== undefined) {
+      await this.prune(policy);
+    }
+    if (changeLog && this.changeLog) {
+      await this.trimChanges(changeLog);
+    }
+  }
+
+  async prune({ olderThan, statuses = FINISHED_STATUSES, keepLast, vacuum = true } = {}) {
+    if (olderThan === undefined && keepLast === undefined) {
+      throw new ValidationError('prune() needs olderThan or keepLast', { field: 'olderThan' });
+    }
+
+    const statusList = statuses.map(() => '?').join(', ');
+    const conditions = [`status IN (${statusList})`];
+    const values = [...statuses];
+
+    if (olderThan !== undefined) {
+      const cutoff = olderThan instanceof Date ? olderThan : new Date(Date.now() - olderThan);
+      conditions.push('updated_at < ?');
+      values.push(toSqlTimestamp(cutoff));
+    }
+    if (keepLast !== undefined) {
+      conditions.push(`id NOT IN (SELECT id FROM task_runs WHERE status IN (${statusList}) ORDER BY id DESC LIMIT ?)`);
+      values.push(...statuses, keepLast);
+    }
+
+    const candidates = `SELECT id FROM task_runs WHERE ${conditions.join(' AND ')}`;
+
+    const removed = await this.transaction(async (tx) => ({
+      stackRuns: tx.db.run(`DELETE FROM stack_runs WHERE task_run_id IN (${candidates})`, values).changes,
+      taskRuns: tx.db.run(`DELETE FROM task_runs WHERE id IN (${candidates})`, values).changes
+    }));
+
+    if (removed.taskRuns > 0) {
+      logger.info('Pruned finished runs', { ...removed, dbPath: this.dbPath });
+      // VACUUM cannot run inside a transaction; skip it rather than fail the prune.
+      if (vacuum && !this._txLock) {
+        this.db.exec('VACUUM');
+        await this._afterWrite();
+      }
+    }
+    return removed;
+  }
+
+  async snapshot() {
+    await this._waitForTransaction();
+    if (this.db.inMemoryImage) return this._sealImage(this.db.export());
+
+    const tmpPath = path.join(os.tmpdir(), `sqlite-adapter-snapshot-${process.pid}-${Date.now()}.db`);
+    try {
+      this.db.run('VACUUM INTO ?', [tmpPath]);
+      return await fse.readFile(tmpPath);
+    } finally {
+      await fse.remove(tmpPath);
+    }
+  }
+
+  async backup(destPath) {
+    await this._waitForTransaction();
+    await fse.ensureDir(path.dirname(destPath));
+
+    if (this.db.inMemoryImage) {
+      await this._writeFileAtomic(destPath, this._sealImage(this.db.export()));
+    } else {
+      // VACUUM INTO writes a consistent copy without blocking other connections.
+      const tmpPath = `${destPath}.${process.pid}.tmp`;
+      await fse.remove(tmpPath);
+      this.db.run('VACUUM INTO ?', [tmpPath]);
+      await fse.rename(tmpPath, destPath);
+    }
+    return destPath;
+  }
+
+  async rotateBackup() {
+    const { dir, keep = 7 } = this.backups;
+    const prefix = backupPrefix(this.dbPath);
+    const destPath = await this.backup(path.join(dir, backupFileName(prefix)));
+    await rotateBackups(dir, prefix, keep);
+    return destPath;
+  }
+
+  async restore(source) {
+    const image = Buffer.isBuffer(source) ? source : await fse.readFile(source);
+    if (isEncryptedImage(image) && !this.encryptor) {
+      throw new DecryptionError('Backup is encrypted; pass encryptionKey to restore it');
+    }
+    const plain = this.encryptor ? this.encryptor.openImage(image) : image;
+
+    const stagingPath = this.dbPath === ':memory:'
+      ? path.join(os.tmpdir(), `sqlite-adapter-restore-${process.pid}-${Date.now()}.db`)
+      : `${this.dbPath}.restore-${process.pid}.tmp`;
+    await fse.writeFile(stagingPath, plain);
+
+    const stagingOptions = { ...this.driverOptions, encryptor: null, journalMode: 'DELETE' };
+    let candidate;
+    try {
+      candidate = await openDriver(stagingPath, stagingOptions);
+      validateBackup(candidate);
+    } catch (err) {
+      candidate?.close();
+      await fse.remove(stagingPath);
+      throw isCorruptionError(err) ? new CorruptDatabaseError(`Backup is corrupt: ${err.message}`, { problems: [err.message] }) : err;
+    }
+
+    // The current database stays in place until the backup has been validated.
+    const release = await this._lock();
+    try {
+      if (candidate.inMemoryImage) {
+        this.db.close();
+        this.db = candidate;
+      } else {
+        // Copied into the open database rather than swapped in, so other processes using the file see it too.
+        candidate.close();
+        copyDatabase(this.db, stagingPath);
+      }
+    } finally {
+      release();
+      await fse.remove(stagingPath);
+    }
+
+    // Older backups are brought up to the current schema.
+    await this.migrate();
+    await this._afterWrite();
+    logger.info('Database restored', { dbPath: this.dbPath, schemaVersion: await this.getSchemaVersion() });
+  }
+
+  _every(interval, fn, errorMessage) {
+    const timer = setInterval(() => {
+      Promise.resolve(fn()).catch(err => {
+        logger.error(errorMessage, { error: err.message, dbPath: this.dbPath });
+      });
+    }, interval);
+    timer.unref?.();
+    this._timers.push(timer);
+  }
+
+  async transaction(fn) {
+    if (this._tx) return this._savepoint(fn);
+
+    const release = await this._lock();
+
+    const tx = Object.create(this);
+    tx._tx = { savepoints: 0, changes: [] };
+    const scope = { active: true };
+
+    let result;
+    try {
+      this.db.exec('BEGIN IMMEDIATE');
       try {
-        const data = this.db.export();
-        const buffer = Buffer.from(data);
-        await fse.writeFile(this.dbPath, buffer);
+        result = await this._txScope.run(scope, () => fn(tx));
+        this.db.exec('COMMIT');
       } catch (err) {
-        logger.error('Error saving database', { error: err.message, dbPath: this.dbPath });
+        this._rollback('ROLLBACK');
+        throw err;
       }
+    } finally {
+      scope.active = false;
+      release();
     }
 
-    if (this.db) {
-      this.db.close();
+    await this._afterWrite();
+    tx._tx.changes.forEach(change => this._dispatchChange(change));
+    return result;
+  }
+
+  async _savepoint(fn) {
+    const name = `sp_${++this._tx.savepoints}`;
+    const changeCount = this._tx.changes.length;
+    this.db.exec(`SAVEPOINT ${name}`);
+    try {
+      const result = await fn(this);
+      this.db.exec(`RELEASE ${name}`);
+      return result;
+    } catch (err) {
+      this._tx.changes.length = changeCount;
+      this._rollback(`ROLLBACK TO ${name}`);
+      this.db.exec(`RELEASE ${name}`);
+      throw err;
+    }
+  }
+
+  _rollback(statement) {
+    try {
+      this.db.exec(statement);
+    } catch (err) {
+      logger.error('Error rolling back transaction', { error: err.message, statement });
+    }
+  }
+
+  async _lock() {
+    this._assertOutsideTransaction();
+    while (this._txLock) await this._txLock;
+
+    let release;
+    this._txLock = new Promise(resolve => { release = resolve; });
+    return () => {
+      this._txLock = null;
+      release();
+    };
+  }
+
+  async _waitForTransaction() {
+    // Calls made on the adapter itself wait for an open transaction instead of joining it.
+    if (!this._tx) this._assertOutsideTransaction();
+    while (!this._tx && this._txLock) await this._txLock;
+  }
+
+  // From inside its own transaction callback, waiting on the adapter would never end.
+  _assertOutsideTransaction() {
+    if (this._txScope.getStore()?.active) {
+      throw new TransactionError('Called the adapter inside its own transaction() callback; use the tx argument instead');
+    }
+  }
+
+  async _afterWrite() {
+    // Inside a transaction the root adapter flushes once the outermost COMMIT succeeds.
+    if (this._tx || this.dbPath === ':memory:' || !this.db.inMemoryImage) return;
+
+    if (this.durability === 'every-write') {
+      await this.flush();
+    } else if (this.durability === 'debounced') {
+      this._scheduleFlush();
+    }
+  }
+
+  _scheduleFlush() {
+    const now = Date.now();
+    if (this._firstDirtyAt === null) this._firstDirtyAt = now;
+
+    // Debounce bursts of writes, but never hold dirty data longer than maxFlushDelay.
+    const delay = Math.max(0, Math.min(this.flushDelay, this._firstDirtyAt + this.maxFlushDelay - now));
+
+    clearTimeout(this._flushTimer);
+    this._flushTimer = setTimeout(() => {
+      this.flush().catch(err => {
+        logger.error('Error flushing database', { error: err.message, dbPath: this.dbPath });
+      });
+    }, delay);
+    this._flushTimer.unref?.();
+  }
+
+  async flush() {
+    // sql.js export() reopens the database, which would abort an open transaction, so
+    // wait for it to finish. Inside a transaction the outermost COMMIT flushes instead.
+    if (this._tx) return;
+    await this._waitForTransaction();
+    return this._flushImage();
+  }
+
+  // Callers must make sure no transaction is open.
+  async _flushImage() {
+    clearTimeout(this._flushTimer);
+    this._flushTimer = null;
+    this._firstDirtyAt = null;
+
+    if (!this.db || this.dbPath === ':memory:' || !this.db.inMemoryImage) return;
+
+    const buffer = this._sealImage(this.db.export());
+    const write = this._flushing.catch(() => {}).then(() => this._writeFileAtomic(this.dbPath, buffer));
+    this._flushing = write;
+    return write;
+  }
+
+  _sealImage(image) {
+    return this.driverOptions.encryptor ? this.driverOptions.encryptor.sealImage(image) : image;
+  }
+
+  async _writeFileAtomic(filePath, buffer) {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    const fd = await fse.open(tmpPath, 'w');
+    try {
+      await fse.write(fd, buffer, 0, buffer.length, 0);
+      await fse.fsync(fd);
+    } finally {
+      await fse.close(fd);
+    }
+    await fse.rename(tmpPath, filePath);
+  }
+
+  async close() {
+    clearTimeout(this._flushTimer);
+    this._flushTimer = null;
+    this._timers.forEach(timer => clearInterval(timer));
+    this._timers = [];
+
+    // An open transaction finishes, and is saved, before the database goes away.
+    const release = await this._lock();
+    try {
+      if (this.db) {
+        try {
+          await this._flushImage();
+        } catch (err) {
+          logger.error('Error saving database', { error: err.message, dbPath: this.dbPath });
+        }
+      }
+
+      if (this.db) {
+        this.db.close();
+        this.db = null;
+      }
+    } finally {
+      release();
     }
   }
 }
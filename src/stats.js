@@ -0,0 +1,116 @@
+import { toSqlTimestamp, fromSqlTimestamp } from './time.js';
+
+const BUCKET_FORMATS = {
+  minute: '%Y-%m-%d %H:%M:00',
+  hour: '%Y-%m-%d %H:00:00',
+  day: '%Y-%m-%d 00:00:00'
+};
+
+const DURATION_MS = `CAST(ROUND((julianday(updated_at) - julianday(created_at)) * 86400000) AS INTEGER)`;
+
+const byStatus = (rows) => Object.fromEntries(rows.map(row => [row.status, row.count]));
+
+// Nearest-rank percentile, read straight from the ordered rows.
+const percentile = (db, where, values, count, fraction) => {
+  if (count === 0) return null;
+  const offset = Math.ceil(fraction * count) - 1;
+  return db.get(
+    `SELECT ${DURATION_MS} AS duration FROM task_runs ${where} ORDER BY duration ASC LIMIT 1 OFFSET ?`,
+    [...values, offset]
+  ).duration;
+};
+
+export const collectStats = (db, { since, taskIdentifier, bucket = 'hour', finishedStatuses }) => {
+  if (!BUCKET_FORMATS[bucket]) {
+    throw new TypeError(`Unknown bucket "${bucket}", expected one of: ${Object.keys(BUCKET_FORMATS).join(', ')}`);
+  }
+
+  const cutoff = since === undefined ? null : since instanceof Date ? since : new Date(Date.now() - since);
+  const values = [
+    ...(cutoff ? [toSqlTimestamp(cutoff)] : []),
+    ...(taskIdentifier === undefined ? [] : [taskIdentifier])
+  ];
+  const filter = (createdAt, identifier) => [
+    ...(cutoff ? [`${createdAt} >= ?`] : []),
+    ...(taskIdentifier === undefined ? [] : [`${identifier} = ?`])
+  ];
+  const whereClause = (conditions) => (conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '');
+
+  const taskFilter = filter('created_at', 'task_identifier');
+  // Stack runs are filtered through their task run.
+  const stackFilter = filter('s.created_at', 't.task_identifier');
+  const stackFrom = 'stack_runs s JOIN task_runs t ON t.id = s.task_run_id';
+
+  const taskRunCounts = db.all(
+    `SELECT status, COUNT(*) AS count FROM task_runs ${whereClause(taskFilter)} GROUP BY status`,
+    values
+  );
+  const stackRunCounts = db.all(
+    `SELECT s.status, COUNT(*) AS count FROM ${stackFrom} ${whereClause(stackFilter)} GROUP BY s.status`,
+    values
+  );
+
+  const finishedWhere = whereClause([...taskFilter, `status IN (${finishedStatuses.map(() => '?').join(', ')})`]);
+  const finishedValues = [...values, ...finishedStatuses];
+  const { count: durationCount } = db.get(`SELECT COUNT(*) AS count FROM task_runs ${finishedWhere}`, finishedValues);
+
+  const throughput = db.all(`
+    SELECT strftime('${BUCKET_FORMATS[bucket]}', updated_at) AS start, COUNT(*) AS count
+    FROM task_runs ${finishedWhere}
+    GROUP BY start
+    ORDER BY start ASC
+  `, finishedValues);
+
+  // Suspension is current state, so `since` does not apply.
+  const suspendedFilter = taskIdentifier === undefined ? [] : ['t.task_identifier = ?'];
+  const suspended = db.get(`
+    SELECT COUNT(*) AS count, MIN(s.suspended_at) AS oldest
+    FROM ${stackFrom} ${whereClause([...suspendedFilter, `s.status = 'suspended_waiting_child'`])}
+  `, taskIdentifier === undefined ? [] : [taskIdentifier]);
+
+  return {
+    since: cutoff,
+    taskIdentifier: taskIdentifier ?? null,
+    taskRuns: { total: taskRunCounts.reduce((sum, row) => sum + row.count, 0), byStatus: byStatus(taskRunCounts) },
+    stackRuns: { total: stackRunCounts.reduce((sum, row) => sum + row.count, 0), byStatus: byStatus(stackRunCounts) },
+    durations: {
+      count: durationCount,
+      p50: percentile(db, finishedWhere, finishedValues, durationCount, 0.5),
+      p95: percentile(db, finishedWhere, finishedValues, durationCount, 0.95)
+    },
+    throughput: throughput.map(row => ({ start: fromSqlTimestamp(row.start), count: row.count })),
+    suspended: { count: suspended.count, oldestSuspendedAt: suspended.oldest ?? null }
+  };
+};
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const labels = (entries) => {
+  const pairs = Object.entries(entries).filter(([, value]) => value !== null && value !== undefined);
+  return pairs.length === 0 ? '' : `{${pairs.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+// Renders getStats() output in the Prometheus text exposition format.
+export const formatPrometheus = (stats, { prefix = 'sequential' } = {}) => {
+  const task = stats.taskIdentifier === null ? {} : { task_identifier: stats.taskIdentifier };
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${prefix}_${name} ${help}`, `# TYPE ${prefix}_${name} ${type}`);
+    for (const [suffix, sampleLabels, value] of samples) {
+      lines.push(`${prefix}_${name}${suffix}${labels({ ...task, ...sampleLabels })} ${value ?? 'NaN'}`);
+    }
+  };
+
+  metric('task_runs', 'gauge', 'Task runs by status.',
+    Object.entries(stats.taskRuns.byStatus).map(([status, count]) => ['', { status }, count]));
+  metric('stack_runs', 'gauge', 'Stack runs by status.',
+    Object.entries(stats.stackRuns.byStatus).map(([status, count]) => ['', { status }, count]));
+  metric('task_run_duration_milliseconds', 'summary', 'Duration of finished task runs.', [
+    ['', { quantile: '0.5' }, stats.durations.p50],
+    ['', { quantile: '0.95' }, stats.durations.p95],
+    ['_count', {}, stats.durations.count]
+  ]);
+  metric('suspended_stack_runs', 'gauge', 'Stack runs waiting on a child.', [['', {}, stats.suspended.count]]);
+
+  return `${lines.join('\n')}\n`;
+};
@@ -0,0 +1,7 @@
+// Matches the format SQLite's CURRENT_TIMESTAMP writes to created_at/updated_at.
+export const toSqlTimestamp = (date) => new Date(date).toISOString().slice(0, 19).replace('T', ' ');
+
+export const fromSqlTimestamp = (value) => (value == null ? null : new Date(`${value.replace(' ', 'T')}Z`));
+
+// Lease, retry and schedule times are stored as epoch milliseconds.
+export const toEpochMs = (value) => (value instanceof Date ? value.getTime() : Number(value));
@@ -0,0 +1,189 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SQLiteAdapter, SCHEMA_VERSION, SchemaVersionError, CorruptDatabaseError, DecryptionError } from '../src/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const dbPath = path.join(__dirname, 'backup-test.db');
+const backupDir = path.join(__dirname, 'backup-test-dir');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const cleanup = () => {
+  for (const file of fs.readdirSync(__dirname)) {
+    if (file.startsWith('backup-test.db')) fs.unlinkSync(path.join(__dirname, file));
+  }
+  fs.rmSync(backupDir, { recursive: true, force: true });
+};
+
+const identifiers = async (adapter) =>
+  (await adapter.queryTaskRuns({}, { orderBy: 'id' })).map(run => run.task_identifier);
+
+for (const driver of ['auto', 'sql.js']) {
+  test(`SQLiteAdapter - Backup and Restore (${driver})`, async (t) => {
+    let adapter;
+
+    t.beforeEach(async () => {
+      cleanup();
+      adapter = new SQLiteAdapter(dbPath, { driver });
+      await adapter.init();
+    });
+
+    t.afterEach(async () => {
+      await adapter.close();
+      cleanup();
+    });
+
+    await t.test('backs up a live database to a file that opens on its own', async () => {
+      const run = await adapter.createTaskRun({ task_identifier: 'backed-up', status: 'pending' });
+      const destPath = await adapter.backup(path.join(backupDir, 'copy.db'));
+
+      const copy = new SQLiteAdapter(destPath, { driver });
+      await copy.init();
+      assert.equal((await copy.getTaskRun(run.id)).task_identifier, 'backed-up');
+      await copy.close();
+    });
+
+    await t.test('restores a snapshot over later changes', async () => {
+      await adapter.createTaskRun({ task_identifier: 'before', status: 'pending' });
+      const snapshot = await adapter.snapshot();
+      assert.ok(Buffer.isBuffer(snapshot));
+
+      await adapter.createTaskRun({ task_identifier: 'after', status: 'pending' });
+      await adapter.restore(snapshot);
+      assert.deepEqual(await identifiers(adapter), ['before']);
+
+      await adapter.createTaskRun({ task_identifier: 'next', status: 'pending' });
+      await adapter.close();
+
+      adapter = new SQLiteAdapter(dbPath, { driver });
+      await adapter.init();
+      assert.deepEqual(await identifiers(adapter), ['before', 'next']);
+    });
+
+    await t.test('restores under other connections to the same file', async (t) => {
+      if (adapter.db.inMemoryImage) {
+        t.skip('sql.js keeps the database in memory');
+        return;
+      }
+      await adapter.createTaskRun({ task_identifier: 'kept', status: 'pending' });
+      const snapshot = await adapter.snapshot();
+      const other = new SQLiteAdapter(dbPath, { driver });
+      await other.init();
+      await adapter.createTaskRun({ task_identifier: 'discarded', status: 'pending' });
+
+      await adapter.restore(snapshot);
+      assert.deepEqual(await identifiers(other), ['kept']);
+      await other.createTaskRun({ task_identifier: 'after', status: 'pending' });
+      assert.deepEqual(await identifiers(adapter), ['kept', 'after']);
+      await other.close();
+    });
+
+    await t.test('restores from a backup file', async () => {
+      await adapter.createTaskRun({ task_identifier: 'kept', status: 'pending' });
+      const destPath = await adapter.backup(path.join(backupDir, 'copy.db'));
+      await adapter.createTaskRun({ task_identifier: 'dropped', status: 'pending' });
+
+      await adapter.restore(destPath);
+      assert.deepEqual(await identifiers(adapter), ['kept']);
+    });
+
+    await t.test('refuses backups from a newer schema and keeps the current data', async () => {
+      await adapter.createTaskRun({ task_identifier: 'current', status: 'pending' });
+      const other = new SQLiteAdapter(':memory:', { driver });
+      await other.init();
+      other.db.run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [SCHEMA_VERSION + 1, 'future']);
+      const future = await other.snapshot();
+      await other.close();
+
+      await assert.rejects(adapter.restore(future), SchemaVersionError);
+      await assert.rejects(adapter.restore(Buffer.alloc(4096, 0x42)), CorruptDatabaseError);
+      assert.deepEqual(await identifiers(adapter), ['current']);
+      assert.deepEqual(fs.readdirSync(__dirname).filter(file => file.includes('.restore-')), []);
+    });
+  });
+}
+
+test('SQLiteAdapter - Backup and Restore (memory)', async (t) => {
+  await t.test('restores into an in-memory database', async () => {
+    const adapter = new SQLiteAdapter();
+    await adapter.init();
+    await adapter.createTaskRun({ task_identifier: 'first', status: 'pending', input: 'restored text' });
+    await adapter.setKeystore('k', JSON.stringify('v'));
+    const snapshot = await adapter.snapshot();
+
+    await adapter.createTaskRun({ task_identifier: 'second', status: 'pending' });
+    await adapter.restore(snapshot);
+    assert.deepEqual(await identifiers(adapter), ['first']);
+    assert.equal(await adapter.getKeystore('k'), 'v');
+    assert.equal((await adapter.searchRuns('restored')).length, 1);
+    assert.equal((await adapter.createTaskRun({ task_identifier: 'third', status: 'pending' })).id, 2);
+    await adapter.close();
+  });
+
+  await t.test('keeps encrypted snapshots encrypted', async () => {
+    const adapter = new SQLiteAdapter(':memory:', { driver: 'sql.js', encryptionKey: 'secret' });
+    await adapter.init();
+    await adapter.createTaskRun({ task_identifier: 'hidden', status: 'pending' });
+    const snapshot = await adapter.snapshot();
+    assert.ok(!snapshot.includes('hidden'));
+
+    const plain = new SQLiteAdapter(':memory:', { driver: 'sql.js' });
+    await plain.init();
+    await assert.rejects(plain.restore(snapshot), DecryptionError);
+    await plain.close();
+
+    await adapter.restore(snapshot);
+    assert.deepEqual(await identifiers(adapter), ['hidden']);
+    await adapter.close();
+  });
+});
+
+test('SQLiteAdapter - Scheduled Backups', async (t) => {
+  t.beforeEach(cleanup);
+  t.afterEach(cleanup);
+
+  await t.test('requires a directory', () => {
+    assert.throws(() => new SQLiteAdapter(dbPath, { backups: { keep: 2 } }), TypeError);
+  });
+
+  await t.test('keeps only the newest backups', async () => {
+    const adapter = new SQLiteAdapter(dbPath, { backups: { dir: backupDir, keep: 2, interval: 60 * 60 * 1000 } });
+    await adapter.init();
+
+    const written = [];
+    for (let i = 0; i < 4; i++) {
+      await adapter.createTaskRun({ task_identifier: `run-${i}`, status: 'pending' });
+      written.push(await adapter.rotateBackup());
+      await sleep(5);
+    }
+    await adapter.close();
+
+    const files = fs.readdirSync(backupDir).sort();
+    assert.deepEqual(files, written.slice(2).map(file => path.basename(file)));
+    assert.ok(files.every(file => /^backup-test-\d{4}-.*\.db$/.test(file)));
+
+    const latest = new SQLiteAdapter(written[3]);
+    await latest.init();
+    assert.equal(await latest.countTaskRuns(), 4);
+    await latest.close();
+  });
+
+  await t.test('leaves backups of other databases in the same directory alone', async () => {
+    fs.mkdirSync(backupDir);
+    const others = ['backup-test-eu-2024-05-01T06-00-00-000Z.db', 'backup-test-notes.db'];
+    for (const file of others) fs.writeFileSync(path.join(backupDir, file), '');
+
+    const adapter = new SQLiteAdapter(dbPath, { backups: { dir: backupDir, keep: 1 } });
+    await adapter.init();
+    const first = await adapter.rotateBackup();
+    await sleep(5);
+    const second = await adapter.rotateBackup();
+    await adapter.close();
+
+    assert.deepEqual(fs.readdirSync(backupDir).sort(), [path.basename(second), ...others].sort());
+    assert.ok(!fs.existsSync(first));
+  });
+});
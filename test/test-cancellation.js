@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { SQLiteAdapter, NotFoundError } from '../src/index.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('SQLiteAdapter - Cancellation and Timeouts', async (t) => {
+  let adapter;
+
+  t.beforeEach(async () => {
+    adapter = new SQLiteAdapter();
+    await adapter.init();
+  });
+
+  t.afterEach(async () => {
+    await adapter.close();
+  });
+
+  const createTree = async (taskRunFields = {}) => {
+    const taskRun = await adapter.createTaskRun({ task_identifier: 'tree', status: 'running', ...taskRunFields });
+    const root = await adapter.createStackRun({ task_run_id: taskRun.id, operation: 'root', status: 'suspended_waiting_child' });
+    const child = await adapter.createStackRun({ task_run_id: taskRun.id, parent_stack_run_id: root.id, operation: 'child', status: 'pending' });
+    const done = await adapter.createStackRun({ task_run_id: taskRun.id, parent_stack_run_id: root.id, operation: 'done', status: 'completed' });
+    return { taskRun, root, child, done };
+  };
+
+  await t.test('cancels a task run and its unfinished stack runs', async () => {
+    const { taskRun, root, child, done } = await createTree();
+    await adapter.claimNextStackRun('worker-1');
+    const events = [];
+    adapter.on('change', ({ event }) => events.push(event));
+
+    const cancelled = await adapter.cancelTaskRun(taskRun.id, 'user request');
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.error.message, 'user request');
+
+    assert.equal((await adapter.getStackRun(root.id)).status, 'cancelled');
+    const cancelledChild = await adapter.getStackRun(child.id);
+    assert.equal(cancelledChild.status, 'cancelled');
+    assert.equal(cancelledChild.lease_owner, null);
+    assert.equal(cancelledChild.error.name, 'CancelledError');
+    assert.equal((await adapter.getStackRun(done.id)).status, 'completed');
+
+    assert.deepEqual(await adapter.getPendingStackRuns(), []);
+    assert.ok(events.includes('taskRun:statusChanged'));
+    assert.equal(events.filter(event => event === 'stackRun:updated').length, 2);
+  });
+
+  await t.test('leaves finished task runs alone', async () => {
+    const taskRun = await adapter.createTaskRun({ task_identifier: 'done', status: 'completed' });
+    assert.equal((await adapter.cancelTaskRun(taskRun.id)).status, 'completed');
+    await assert.rejects(adapter.cancelTaskRun(999), NotFoundError);
+  });
+
+  await t.test('times out runs past their deadline', async () => {
+    const { taskRun, child } = await createTree({ deadline_at: new Date(Date.now() + 60000) });
+    const other = await adapter.createTaskRun({ task_identifier: 'other', status: 'running', deadline_at: Date.now() + 120000 });
+
+    assert.equal(await adapter.sweepTimedOutTaskRuns(), 0);
+    assert.equal(await adapter.sweepTimedOutTaskRuns(Date.now() + 90000), 1);
+
+    const timedOut = await adapter.getTaskRun(taskRun.id);
+    assert.equal(timedOut.status, 'timed_out');
+    assert.equal(timedOut.error.name, 'TimeoutError');
+    assert.match(timedOut.error.message, /Deadline .* passed/);
+    assert.equal((await adapter.getStackRun(child.id)).status, 'timed_out');
+    assert.equal((await adapter.getTaskRun(other.id)).status, 'running');
+
+    assert.equal(await adapter.sweepTimedOutTaskRuns(Date.now() + 90000), 0);
+  });
+
+  await t.test('filters deadlines by Date', async () => {
+    const overdue = await adapter.createTaskRun({ task_identifier: 'late', status: 'running', deadline_at: Date.now() - 60000 });
+    const upcoming = await adapter.createTaskRun({ task_identifier: 'soon', status: 'running', deadline_at: Date.now() + 60000 });
+
+    const ids = async (filter) => (await adapter.queryTaskRuns(filter)).map(run => run.id);
+    assert.deepEqual(await ids({ deadline_at: { $lt: new Date() } }), [overdue.id]);
+    assert.deepEqual(await ids({ deadline_at: { $gte: new Date() } }), [upcoming.id]);
+    assert.deepEqual(await ids({ deadline_at: new Date(upcoming.deadline_at) }), [upcoming.id]);
+  });
+
+  await t.test('times out runs whose deadline was moved by an update', async () => {
+    const taskRun = await adapter.createTaskRun({ task_identifier: 'moved', status: 'running' });
+    const deadline = new Date(Date.now() + 60000);
+    const updated = await adapter.updateTaskRun(taskRun.id, { deadline_at: deadline });
+    assert.equal(updated.deadline_at, deadline.getTime());
+
+    assert.equal(await adapter.sweepTimedOutTaskRuns(Date.now() + 90000), 1);
+    assert.equal((await adapter.getTaskRun(taskRun.id)).status, 'timed_out');
+  });
+
+  await t.test('sweeps on an interval when configured', async () => {
+    await adapter.close();
+    adapter = new SQLiteAdapter(':memory:', { timeoutSweepInterval: 20 });
+    await adapter.init();
+    const taskRun = await adapter.createTaskRun({ task_identifier: 'slow', status: 'running', deadline_at: Date.now() + 10 });
+
+    await sleep(100);
+    assert.equal((await adapter.getTaskRun(taskRun.id)).status, 'timed_out');
+  });
+});
@@ -0,0 +1,179 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SQLiteAdapter, ChangeLogGapError } from '../src/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+test('SQLiteAdapter - Change Feed', async (t) => {
+  let adapter;
+
+  t.beforeEach(async () => {
+    adapter = new SQLiteAdapter();
+    await adapter.init();
+  });
+
+  t.afterEach(async () => {
+    await adapter.close();
+  });
+
+  await t.test('emits events from create and update methods', async () => {
+    const seen = [];
+    for (const event of ['taskRun:created', 'taskRun:updated', 'taskRun:statusChanged', 'stackRun:created', 'stackRun:updated']) {
+      adapter.on(event, change => seen.push([change.event, change.record.id]));
+    }
+
+    const taskRun = await adapter.createTaskRun({ task_identifier: 'events', status: 'pending' });
+    await adapter.updateTaskRun(taskRun.id, { status: 'running' });
+    await adapter.updateTaskRun(taskRun.id, { result: JSON.stringify({ partial: true }) });
+    const stackRun = await adapter.createStackRun({ task_run_id: taskRun.id, operation: 'op', status: 'pending' });
+    await adapter.updateStackRun(stackRun.id, { status: 'completed' });
+
+    assert.deepEqual(seen, [
+      ['taskRun:created', taskRun.id],
+      ['taskRun:updated', taskRun.id],
+      ['taskRun:statusChanged', taskRun.id],
+      ['taskRun:updated', taskRun.id],
+      ['stackRun:created', stackRun.id],
+      ['stackRun:updated', stackRun.id]
+    ]);
+  });
+
+  await t.test('reports the previous and new status', async () => {
+    const taskRun = await adapter.createTaskRun({ task_identifier: 'events', status: 'pending' });
+    let change;
+    adapter.once('taskRun:statusChanged', c => { change = c; });
+    await adapter.updateTaskRun(taskRun.id, { status: 'failed' });
+    assert.deepEqual(change.payload, { from: 'pending', to: 'failed' });
+  });
+
+  await t.test('emits only after the transaction commits', async () => {
+    const seen = [];
+    adapter.on('change', change => seen.push(change.event));
+
+    await assert.rejects(() => adapter.transaction(async (tx) => {
+      await tx.createTaskRun({ task_identifier: 'rolled-back', status: 'pending' });
+      assert.deepEqual(seen, []);
+      throw new Error('abort');
+    }));
+    assert.deepEqual(seen, []);
+    assert.deepEqual(await adapter.getChanges(), []);
+
+    await adapter.transaction(async (tx) => {
+      await tx.createTaskRun({ task_identifier: 'kept', status: 'pending' });
+      await tx.transaction(async (inner) => {
+        await inner.createTaskRun({ task_identifier: 'discarded', status: 'pending' });
+        throw new Error('inner');
+      }).catch(() => {});
+    });
+    assert.deepEqual(seen, ['taskRun:created']);
+  });
+
+  await t.test('a throwing listener does not fail the write', async () => {
+    adapter.on('taskRun:created', () => { throw new Error('listener'); });
+    const taskRun = await adapter.createTaskRun({ task_identifier: 'safe', status: 'pending' });
+    assert.ok(await adapter.getTaskRun(taskRun.id));
+  });
+
+  await t.test('records lease changes', async () => {
+    const taskRun = await adapter.createTaskRun({ task_identifier: 'leases', status: 'running' });
+    const stackRun = await adapter.createStackRun({ task_run_id: taskRun.id, operation: 'op', status: 'pending' });
+    const { seq: after } = (await adapter.getChanges()).at(-1);
+    const seen = [];
+    adapter.on('stackRun:updated', change => seen.push(change.payload.fields));
+
+    await adapter.claimNextStackRun('worker-1');
+    assert.equal(await adapter.renewStackRunLease(stackRun.id, 'worker-1'), true);
+    assert.equal(await adapter.releaseStackRun(stackRun.id, 'worker-1'), true);
+    assert.equal(await adapter.releaseStackRun(stackRun.id, 'worker-1'), false);
+
+    await adapter.claimNextStackRun('worker-2', { leaseMs: -1 });
+    await adapter.updateStackRun(stackRun.id, { status: 'running' });
+    assert.equal(await adapter.reclaimExpiredLeases(), 1);
+
+    const logged = (await adapter.getChanges({ after })).map(change => change.payload.fields);
+    const expected = [
+      ['lease_owner', 'lease_expires_at'],
+      ['lease_expires_at'],
+      ['lease_owner', 'lease_expires_at'],
+      ['lease_owner', 'lease_expires_at'],
+      ['status'],
+      ['lease_owner', 'lease_expires_at', 'status']
+    ];
+    assert.deepEqual(seen, expected);
+    assert.deepEqual(logged, expected);
+    assert.equal((await adapter.getStackRun(stackRun.id)).status, 'pending');
+  });
+
+  await t.test('pages through the change log by sequence number', async () => {
+    const taskRun = await adapter.createTaskRun({ task_identifier: 'log', status: 'pending' });
+    await adapter.updateTaskRun(taskRun.id, { status: 'completed' });
+
+    const first = await adapter.getChanges({ limit: 2 });
+    assert.deepEqual(first.map(c => c.event), ['taskRun:created', 'taskRun:updated']);
+    assert.equal(first[0].entity, 'task_run');
+    assert.equal(first[0].entity_id, taskRun.id);
+
+    const rest = await adapter.getChanges({ after: first[1].seq });
+    assert.deepEqual(rest.map(c => c.event), ['taskRun:statusChanged']);
+    assert.deepEqual(rest[0].payload, { from: 'pending', to: 'completed' });
+
+    assert.equal(await adapter.trimChanges({ beforeSeq: rest[0].seq }), 2);
+    assert.equal((await adapter.getChanges()).length, 1);
+  });
+
+  await t.test('reports changes trimmed past a cursor', async () => {
+    const taskRun = await adapter.createTaskRun({ task_identifier: 'gap', status: 'pending' });
+    const [{ seq: cursor }] = await adapter.getChanges();
+    await adapter.updateTaskRun(taskRun.id, { status: 'running' });
+    await adapter.updateTaskRun(taskRun.id, { status: 'completed' });
+    assert.equal((await adapter.getChanges({ after: cursor })).length, 4);
+
+    await adapter.trimChanges({ keepLast: 1 });
+    await assert.rejects(adapter.getChanges({ after: cursor }), (err) => {
+      assert.ok(err instanceof ChangeLogGapError);
+      assert.equal(err.after, cursor);
+      assert.equal(err.oldestSeq, cursor + 4);
+      return true;
+    });
+    assert.equal((await adapter.getChanges({ after: cursor + 3 })).length, 1);
+
+    await adapter.trimChanges({ beforeSeq: cursor + 5 });
+    await assert.rejects(adapter.getChanges({ after: cursor + 3 }), ChangeLogGapError);
+    assert.deepEqual(await adapter.getChanges({ after: cursor + 4 }), []);
+    assert.deepEqual(await adapter.getChanges(), []);
+  });
+
+  await t.test('resumes from a cursor after a restart', async () => {
+    const dbPath = path.join(__dirname, 'changes-restart.db');
+    const first = new SQLiteAdapter(dbPath);
+    await first.init();
+    await first.createTaskRun({ task_identifier: 'before', status: 'pending' });
+    const [{ seq: cursor }] = await first.getChanges();
+    await first.createTaskRun({ task_identifier: 'after', status: 'pending' });
+    await first.close();
+
+    const second = new SQLiteAdapter(dbPath);
+    await second.init();
+    const missed = await second.getChanges({ after: cursor });
+    assert.equal(missed.length, 1);
+    assert.equal((await second.getTaskRun(missed[0].entity_id)).task_identifier, 'after');
+    await second.close();
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(dbPath + suffix)) fs.unlinkSync(dbPath + suffix);
+    }
+  });
+
+  await t.test('can disable the persistent log', async () => {
+    const quiet = new SQLiteAdapter(':memory:', { changeLog: false });
+    await quiet.init();
+    let emitted = 0;
+    quiet.on('taskRun:created', () => emitted++);
+    await quiet.createTaskRun({ task_identifier: 'x', status: 'pending' });
+    assert.equal(emitted, 1);
+    assert.deepEqual(await quiet.getChanges(), []);
+    await quiet.close();
+  });
+});
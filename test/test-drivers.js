@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SQLiteAdapter } from '../src/index.js';
+import { DRIVERS } from '../src/drivers/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const cleanup = (dbPath) => {
+  for (const suffix of ['', '-wal', '-shm']) {
+    if (fs.existsSync(dbPath + suffix)) fs.unlinkSync(dbPath + suffix);
+  }
+};
+
+test('SQLiteAdapter - Drivers', async (t) => {
+  await t.test('rejects unknown drivers', async () => {
+    const adapter = new SQLiteAdapter(':memory:', { driver: 'postgres' });
+    await assert.rejects(() => adapter.init(), TypeError);
+  });
+
+  for (const [name, Driver] of Object.entries(DRIVERS)) {
+    const available = await Driver.isAvailable();
+
+    await t.test(`${name} driver supports task run CRUD`, { skip: !available && `${name} is not installed` }, async () => {
+      const adapter = new SQLiteAdapter(':memory:', { driver: name });
+      await adapter.init();
+      assert.equal(adapter.db.name, name);
+
+      const run = await adapter.createTaskRun({ task_identifier: 'driver-task', status: 'pending' });
+      const updated = await adapter.updateTaskRun(run.id, { status: 'completed' });
+      assert.equal(updated.status, 'completed');
+      assert.equal((await adapter.queryTaskRuns({ task_identifier: 'driver-task' })).length, 1);
+      await adapter.close();
+    });
+
+    if (name === 'sql.js') continue;
+
+    await t.test(`${name} driver caps its statement cache`, { skip: !available && `${name} is not installed` }, async () => {
+      const adapter = new SQLiteAdapter(':memory:', { driver: name, statementCacheSize: 20 });
+      await adapter.init();
+      const run = await adapter.createTaskRun({ task_identifier: 'cached', status: 'pending' });
+
+      for (let i = 1; i <= 300; i++) {
+        const ids = Array.from({ length: i }, (_, j) => j + 1);
+        assert.equal((await adapter.queryTaskRuns({ id: ids })).length, 1);
+      }
+      assert.ok(adapter.db.statements.size <= 20);
+      assert.equal((await adapter.getTaskRun(run.id)).id, run.id);
+      await adapter.close();
+    });
+
+    await t.test(`${name} driver shares one file between adapters in WAL mode`, { skip: !available && `${name} is not installed` }, async () => {
+      const dbPath = path.join(__dirname, `shared-${name.replace(/\W/g, '-')}.db`);
+      const writer = new SQLiteAdapter(dbPath, { driver: name });
+      const reader = new SQLiteAdapter(dbPath, { driver: name });
+      await writer.init();
+      await reader.init();
+
+      assert.equal(writer.db.get('PRAGMA journal_mode').journal_mode, 'wal');
+
+      const run = await writer.createTaskRun({ task_identifier: 'shared', status: 'pending' });
+      const seen = await reader.getTaskRun(run.id);
+      assert.equal(seen.task_identifier, 'shared');
+
+      await reader.close();
+      await writer.close();
+      cleanup(dbPath);
+    });
+  }
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SQLiteAdapter } from '../src/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const readTaskRun = async (dbPath, id) => {
+  const reader = new SQLiteAdapter(dbPath, { driver: 'sql.js', durability: 'on-close' });
+  await reader.init();
+  const run = await reader.getTaskRun(id);
+  reader.db.close();
+  reader.db = null;
+  return run;
+};
+
+const cleanup = (dbPath) => {
+  if (fs.existsSync(dbPath)) fs.unlinkSync(dbPath);
+};
+
+test('SQLiteAdapter - Durability', async (t) => {
+  await t.test('rejects unknown durability modes', () => {
+    assert.throws(() => new SQLiteAdapter(':memory:', { durability: 'sometimes' }), TypeError);
+  });
+
+  await t.test('every-write flushes each mutation before returning', async () => {
+    const dbPath = path.join(__dirname, 'every-write-test.db');
+    const adapter = new SQLiteAdapter(dbPath, { driver: 'sql.js', durability: 'every-write' });
+    await adapter.init();
+    const run = await adapter.createTaskRun({ task_identifier: 'durable', status: 'pending' });
+
+    const persisted = await readTaskRun(dbPath, run.id);
+    assert.equal(persisted.task_identifier, 'durable');
+
+    await adapter.close();
+    cleanup(dbPath);
+  });
+
+  await t.test('debounced flushes shortly after a burst of writes', async () => {
+    const dbPath = path.join(__dirname, 'debounced-test.db');
+    const adapter = new SQLiteAdapter(dbPath, { driver: 'sql.js', durability: 'debounced', flushDelay: 20 });
+    await adapter.init();
+    const run = await adapter.createTaskRun({ task_identifier: 'debounced', status: 'pending' });
+    await adapter.updateTaskRun(run.id, { status: 'completed' });
+
+    assert.equal(await readTaskRun(dbPath, run.id), null);
+    await sleep(60);
+    await adapter._flushing;
+    const persisted = await readTaskRun(dbPath, run.id);
+    assert.equal(persisted.status, 'completed');
+
+    await adapter.close();
+    cleanup(dbPath);
+  });
+
+  await t.test('on-close only writes the file when closed', async () => {
+    const dbPath = path.join(__dirname, 'on-close-test.db');
+    const adapter = new SQLiteAdapter(dbPath, { driver: 'sql.js', durability: 'on-close' });
+    await adapter.init();
+    await adapter.createTaskRun({ task_identifier: 'lazy', status: 'pending' });
+    assert.ok(!fs.existsSync(dbPath));
+
+    await adapter.close();
+    assert.ok(fs.existsSync(dbPath));
+    cleanup(dbPath);
+  });
+
+  await t.test('every-write waits for the transaction to commit', async () => {
+    const dbPath = path.join(__dirname, 'tx-durability-test.db');
+    const adapter = new SQLiteAdapter(dbPath, { driver: 'sql.js', durability: 'every-write' });
+    await adapter.init();
+
+    const run = await adapter.transaction(async (tx) => {
+      const created = await tx.createTaskRun({ task_identifier: 'tx', status: 'pending' });
+      await tx.updateTaskRun(created.id, { status: 'completed' });
+      assert.equal(await readTaskRun(dbPath, created.id), null);
+      return created;
+    });
+
+    assert.equal((await readTaskRun(dbPath, run.id)).status, 'completed');
+    await adapter.close();
+    cleanup(dbPath);
+  });
+
+  await t.test('close waits for an open transaction and saves it', async () => {
+    const dbPath = path.join(__dirname, 'close-tx-test.db');
+    const adapter = new SQLiteAdapter(dbPath, { driver: 'sql.js', durability: 'on-close' });
+    await adapter.init();
+    const committed = await adapter.createTaskRun({ task_identifier: 'before', status: 'pending' });
+
+    let created;
+    const pending = adapter.transaction(async (tx) => {
+      await sleep(20);
+      created = await tx.createTaskRun({ task_identifier: 'during', status: 'pending' });
+    });
+    await sleep(5);
+    await adapter.flush();
+    await adapter.close();
+    await pending;
+
+    assert.equal((await readTaskRun(dbPath, committed.id)).task_identifier, 'before');
+    assert.equal((await readTaskRun(dbPath, created.id)).task_identifier, 'during');
+    cleanup(dbPath);
+  });
+
+  await t.test('flush leaves no temporary files behind', async () => {
+    const dbPath = path.join(__dirname, 'atomic-test.db');
+    const adapter = new SQLiteAdapter(dbPath, { driver: 'sql.js', durability: 'every-write' });
+    await adapter.init();
+    await adapter.setKeystore('k', JSON.stringify({ v: 1 }));
+    await adapter.close();
+
+    const leftovers = fs.readdirSync(__dirname).filter(f => f.startsWith('atomic-test.db.') && f.endsWith('.tmp'));
+    assert.deepEqual(leftovers, []);
+    cleanup(dbPath);
+  });
+});
@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SQLiteAdapter, DecryptionError, ValidationError } from '../src/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const cleanup = (dbPath) => {
+  for (const suffix of ['', '-wal', '-shm']) {
+    if (fs.existsSync(dbPath + suffix)) fs.unlinkSync(dbPath + suffix);
+  }
+};
+
+test('SQLiteAdapter - Encryption', async (t) => {
+  const dbPath = path.join(__dirname, 'encryption-test.db');
+
+  t.beforeEach(() => cleanup(dbPath));
+  t.afterEach(() => cleanup(dbPath));
+
+  await t.test('writes an encrypted database file that reopens with the same key', async () => {
+    const adapter = new SQLiteAdapter(dbPath, { encryptionKey: 'correct horse' });
+    await adapter.init();
+    assert.equal(adapter.db.name, 'sql.js');
+    const run = await adapter.createTaskRun({ task_identifier: 'top-secret-task', status: 'pending' });
+    await adapter.close();
+
+    const raw = fs.readFileSync(dbPath);
+    assert.ok(!raw.subarray(0, 16).toString('latin1').startsWith('SQLite format 3'));
+    assert.ok(!raw.includes('top-secret-task'));
+
+    const reopened = new SQLiteAdapter(dbPath, { encryptionKey: 'correct horse' });
+    await reopened.init();
+    assert.equal((await reopened.getTaskRun(run.id)).task_identifier, 'top-secret-task');
+    await reopened.close();
+  });
+
+  await t.test('rejects a wrong or missing key', async () => {
+    const adapter = new SQLiteAdapter(dbPath, { encryptionKey: 'correct horse' });
+    await adapter.init();
+    await adapter.close();
+
+    await assert.rejects(new SQLiteAdapter(dbPath, { encryptionKey: 'battery staple' }).init(), DecryptionError);
+    await assert.rejects(new SQLiteAdapter(dbPath, { driver: 'sql.js' }).init(), DecryptionError);
+  });
+
+  await t.test('refuses to open an encrypted file without a key on any driver', async () => {
+    const adapter = new SQLiteAdapter(dbPath, { encryptionKey: 'correct horse' });
+    await adapter.init();
+    await adapter.createTaskRun({ task_identifier: 'kept', status: 'pending' });
+    await adapter.close();
+    const sealed = fs.readFileSync(dbPath);
+
+    await assert.rejects(new SQLiteAdapter(dbPath).init(), DecryptionError);
+    assert.deepEqual(fs.readFileSync(dbPath), sealed);
+    assert.deepEqual(fs.readdirSync(__dirname).filter(file => file.startsWith('encryption-test.db.corrupt')), []);
+  });
+
+  await t.test('stretches passphrases with a random salt per database', async () => {
+    const scryptSalt = (image) => image.subarray(8, 24).toString('hex');
+    const first = new SQLiteAdapter(dbPath, { encryptionKey: 'correct horse' });
+    await first.init();
+    await first.close();
+    const salt = scryptSalt(fs.readFileSync(dbPath));
+
+    const other = new SQLiteAdapter(':memory:', { encryptionKey: 'correct horse' });
+    await other.init();
+    assert.notEqual(scryptSalt(await other.snapshot()), salt);
+    await other.close();
+
+    const reopened = new SQLiteAdapter(dbPath, { encryptionKey: 'correct horse' });
+    await reopened.init();
+    await reopened.createTaskRun({ task_identifier: 'again', status: 'pending' });
+    await reopened.close();
+    assert.equal(scryptSalt(fs.readFileSync(dbPath)), salt);
+  });
+
+  await t.test('encrypts keystore values', async () => {
+    const adapter = new SQLiteAdapter(':memory:', { encryptionKey: 'correct horse' });
+    await adapter.init();
+    await adapter.setKeystore('api:token', JSON.stringify({ token: 'abc123' }));
+
+    const raw = adapter.db.get('SELECT value FROM keystore WHERE key = ?', ['api:token']).value;
+    assert.ok(raw.startsWith('enc:v2:'));
+    assert.ok(!raw.includes('abc123'));
+    assert.deepEqual(await adapter.getKeystore('api:token'), { token: 'abc123' });
+    assert.deepEqual((await adapter.listKeystore('api:'))[0].value, { token: 'abc123' });
+
+    assert.equal(await adapter.compareAndSetKeystore('api:token', JSON.stringify({ token: 'abc123' }), JSON.stringify('next')), true);
+    assert.equal(await adapter.compareAndSetKeystore('api:token', JSON.stringify({ token: 'abc123' }), JSON.stringify('again')), false);
+    assert.equal(await adapter.getKeystore('api:token'), 'next');
+    await adapter.close();
+  });
+
+  await t.test('refuses to read encrypted keystore values without a key', async () => {
+    const adapter = new SQLiteAdapter(dbPath, { encryptionKey: 'correct horse', encryptDatabase: false, driver: 'sql.js' });
+    await adapter.init();
+    await adapter.setKeystore('k', JSON.stringify('v'));
+    await adapter.close();
+
+    const plain = new SQLiteAdapter(dbPath, { driver: 'sql.js' });
+    await plain.init();
+    await assert.rejects(plain.getKeystore('k'), DecryptionError);
+    await plain.close();
+  });
+
+  await t.test('encrypts an existing plaintext database on the next flush', async () => {
+    const plain = new SQLiteAdapter(dbPath, { driver: 'sql.js' });
+    await plain.init();
+    const run = await plain.createTaskRun({ task_identifier: 'legacy', status: 'pending' });
+    await plain.setKeystore('old', JSON.stringify('value'));
+    await plain.close();
+
+    const adapter = new SQLiteAdapter(dbPath, { encryptionKey: 'correct horse' });
+    await adapter.init();
+    assert.equal((await adapter.getTaskRun(run.id)).task_identifier, 'legacy');
+    assert.equal(await adapter.getKeystore('old'), 'value');
+    await adapter.close();
+
+    assert.ok(!fs.readFileSync(dbPath).includes('legacy'));
+  });
+
+  await t.test('rejects native drivers for encrypted database files', async () => {
+    const adapter = new SQLiteAdapter(dbPath, { encryptionKey: 'correct horse', driver: 'node:sqlite' });
+    await assert.rejects(adapter.init(), ValidationError);
+  });
+
+  await t.test('rejects invalid keys', () => {
+    assert.throws(() => new SQLiteAdapter(':memory:', { encryptionKey: Buffer.alloc(8) }), TypeError);
+  });
+});
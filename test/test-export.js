@@ -0,0 +1,182 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { Readable } from 'stream';
+import { SQLiteAdapter, ValidationError } from '../src/index.js';
+
+const collect = async (stream) => {
+  let text = '';
+  for await (const chunk of stream) text += chunk;
+  return text;
+};
+
+const seed = async (adapter) => {
+  const taskRun = await adapter.createTaskRun({ task_identifier: 'import', status: 'running', input: JSON.stringify({ file: 'a.csv' }) });
+  const root = await adapter.createStackRun({ task_run_id: taskRun.id, operation: 'root', status: 'running' });
+  await adapter.createStackRun({ task_run_id: taskRun.id, parent_stack_run_id: root.id, operation: 'child', status: 'pending' });
+  await adapter.storeTaskFunction({ identifier: 'import', code: 'v1' });
+  await adapter.storeTaskFunction({ identifier: 'import', code: 'v2' });
+  await adapter.rollbackTaskFunction('import', 1);
+  await adapter.setKeystore('token', JSON.stringify({ secret: 'x' }));
+  await adapter.setKeystore('stale', JSON.stringify('gone'), { ttl: -1 });
+  return { taskRun, root };
+};
+
+test('SQLiteAdapter - Export and Import', async (t) => {
+  let source;
+  let target;
+
+  t.beforeEach(async () => {
+    source = new SQLiteAdapter();
+    await source.init();
+    target = new SQLiteAdapter();
+    await target.init();
+  });
+
+  t.afterEach(async () => {
+    await source.close();
+    await target.close();
+  });
+
+  await t.test('exports every table as NDJSON with original ids', async () => {
+    const { taskRun, root } = await seed(source);
+    const lines = (await collect(source.exportData())).trim().split('\n').map(line => JSON.parse(line));
+
+    assert.equal(lines[0].type, 'header');
+    assert.deepEqual(lines.slice(1).map(line => line.type), ['taskRun', 'stackRun', 'stackRun', 'taskFunction', 'keystore']);
+    assert.equal(lines[1].record.id, taskRun.id);
+    assert.deepEqual(lines[1].record.input, { file: 'a.csv' });
+    assert.equal(lines[3].record.parent_stack_run_id, root.id);
+    assert.equal(lines[4].record.versions.length, 2);
+    assert.deepEqual(lines[5].record, { key: 'token', value: { secret: 'x' }, expiresAt: null });
+  });
+
+  await t.test('pages through large tables', async () => {
+    for (let i = 0; i < 7; i++) await source.createTaskRun({ task_identifier: `run-${i}`, status: 'pending' });
+    const text = await collect(source.exportData({ batchSize: 3 }));
+    assert.equal(text.trim().split('\n').length, 8);
+  });
+
+  await t.test('exports a snapshot that ignores writes made while it streams', async () => {
+    const taskRun = await source.createTaskRun({ task_identifier: 'busy', status: 'running' });
+    for (let i = 0; i < 40; i++) await source.createStackRun({ task_run_id: taskRun.id, operation: `step-${i}`, status: 'pending' });
+
+    let text = '';
+    let wrote = false;
+    for await (const line of source.exportData({ batchSize: 1 })) {
+      text += line;
+      if (!wrote && line.includes('"stackRun"')) {
+        wrote = true;
+        const late = await source.createTaskRun({ task_identifier: 'late', status: 'running' });
+        await source.createStackRun({ task_run_id: late.id, operation: 'late', status: 'pending' });
+      }
+    }
+
+    const summary = await target.importData(Readable.from(text));
+    assert.equal(summary.taskRuns, 1);
+    assert.equal(summary.stackRuns, 40);
+  });
+
+  await t.test('imports with remapped ids and parent links', async () => {
+    await target.createTaskRun({ task_identifier: 'existing', status: 'pending' });
+    await seed(source);
+
+    const summary = await target.importData(source.exportData());
+    assert.equal(summary.taskRuns, 1);
+    assert.equal(summary.stackRuns, 2);
+    assert.equal(summary.taskFunctions, 1);
+    assert.equal(summary.keystore, 1);
+
+    const taskRunId = summary.ids.taskRuns.get(1);
+    assert.equal(taskRunId, 2);
+    const imported = await target.getTaskRun(taskRunId);
+    assert.equal(imported.status, 'running');
+    assert.deepEqual(imported.input, { file: 'a.csv' });
+
+    const [tree] = await target.getStackRunTree(taskRunId);
+    assert.equal(tree.operation, 'root');
+    assert.equal(tree.children[0].operation, 'child');
+
+    assert.equal((await target.getTaskFunction('import')).code, 'v1');
+    assert.equal((await target.listTaskFunctionVersions('import')).length, 2);
+    assert.deepEqual(await target.getKeystore('token'), { secret: 'x' });
+  });
+
+  await t.test('links parents that appear after their children', async () => {
+    const lines = [
+      { type: 'taskRun', record: { id: 10, task_identifier: 't', status: 'pending' } },
+      { type: 'stackRun', record: { id: 21, task_run_id: 10, parent_stack_run_id: 22, operation: 'child', status: 'pending' } },
+      { type: 'stackRun', record: { id: 22, task_run_id: 10, parent_stack_run_id: null, operation: 'parent', status: 'pending' } }
+    ];
+    const { ids } = await target.importData(Readable.from(lines.map(line => `${JSON.stringify(line)}\n`)));
+
+    const child = await target.getStackRun(ids.stackRuns.get(21));
+    assert.equal(child.parent_stack_run_id, ids.stackRuns.get(22));
+  });
+
+  await t.test('remaps the stack run a suspended run waits on', async () => {
+    const { taskRun, root } = await seed(source);
+    const child = await source.createStackRun({ task_run_id: taskRun.id, parent_stack_run_id: root.id, operation: 'wait-for', status: 'pending' });
+    await source.suspendStackRun(root.id, { waitingOn: child.id });
+    for (let i = 0; i < 4; i++) await target.createTaskRun({ task_identifier: `existing-${i}`, status: 'pending' });
+    const existing = await target.createTaskRun({ task_identifier: 'existing', status: 'pending' });
+    await target.createStackRun({ task_run_id: existing.id, operation: 'unrelated', status: 'pending' });
+
+    const { ids } = await target.importData(source.exportData());
+    const parent = await target.getStackRun(ids.stackRuns.get(root.id));
+    assert.equal(parent.waiting_on, ids.stackRuns.get(child.id));
+    assert.equal((await target.getStackRun(parent.waiting_on)).operation, 'wait-for');
+
+    const missing = [
+      { type: 'taskRun', record: { id: 1, task_identifier: 't', status: 'pending' } },
+      { type: 'stackRun', record: { id: 2, task_run_id: 1, operation: 'op', status: 'suspended_waiting_child', waiting_on: 9 } }
+    ];
+    await assert.rejects(target.importData(Readable.from(missing.map(line => `${JSON.stringify(line)}\n`))), (err) => {
+      assert.ok(err instanceof ValidationError);
+      assert.equal(err.field, 'waiting_on');
+      return true;
+    });
+  });
+
+  await t.test('does not link imported runs to schedules', async () => {
+    await source.scheduleTaskRun('report', null, { runAt: new Date('2030-01-01T09:00:00Z') });
+    const [scheduled] = await source.dueSchedules(new Date('2030-01-01T09:00:00Z'));
+    const local = await target.scheduleTaskRun('other', null, { runAt: new Date('2030-01-01T09:00:00Z') });
+    assert.equal(local.id, scheduled.schedule_id);
+
+    const { ids } = await target.importData(source.exportData());
+    const imported = await target.getTaskRun(ids.taskRuns.get(scheduled.id));
+    assert.equal(imported.schedule_id, null);
+    assert.equal(imported.scheduled_for, null);
+    assert.equal((await target.dueSchedules(new Date('2030-01-01T09:00:00Z'))).length, 1);
+  });
+
+  await t.test('applies the conflict mode to task functions and keys', async () => {
+    await seed(source);
+    await target.storeTaskFunction({ identifier: 'import', code: 'local' });
+    await target.setKeystore('token', JSON.stringify('local'));
+
+    await assert.rejects(target.importData(source.exportData()), ValidationError);
+    assert.equal(await target.countTaskRuns(), 0);
+
+    const skipped = await target.importData(source.exportData(), { onConflict: 'skip' });
+    assert.equal(skipped.skipped, 2);
+    assert.equal((await target.getTaskFunction('import')).code, 'local');
+    assert.equal(await target.getKeystore('token'), 'local');
+
+    await target.importData(source.exportData(), { onConflict: 'replace' });
+    assert.equal((await target.getTaskFunction('import')).code, 'v1');
+    assert.deepEqual(await target.getKeystore('token'), { secret: 'x' });
+    assert.equal(await target.countTaskRuns(), 2);
+  });
+
+  await t.test('rejects malformed input without importing anything', async () => {
+    const input = `${JSON.stringify({ type: 'taskRun', record: { id: 1, task_identifier: 't', status: 'pending' } })}\nnot json\n`;
+    await assert.rejects(target.importData(Readable.from([input])), /line 2/);
+    await assert.rejects(
+      target.importData(Readable.from([JSON.stringify({ type: 'stackRun', record: { id: 1, task_run_id: 5 } })])),
+      ValidationError
+    );
+    assert.equal(await target.countTaskRuns(), 0);
+    await assert.rejects(target.importData(Readable.from([]), { onConflict: 'merge' }), TypeError);
+  });
+});
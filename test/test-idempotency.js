@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { SQLiteAdapter } from '../src/index.js';
+
+test('SQLiteAdapter - Idempotency Keys', async (t) => {
+  let adapter;
+
+  t.beforeEach(async () => {
+    adapter = new SQLiteAdapter(':memory:', { idempotencyWindow: 60000 });
+    await adapter.init();
+  });
+
+  t.afterEach(async () => {
+    await adapter.close();
+  });
+
+  await t.test('returns the existing task run for a repeated key', async () => {
+    const first = await adapter.createTaskRun({ task_identifier: 'charge', status: 'pending', idempotencyKey: 'order-1' });
+    const second = await adapter.createTaskRun({ task_identifier: 'charge', status: 'pending', idempotencyKey: 'order-1' });
+    const other = await adapter.createTaskRun({ task_identifier: 'charge', status: 'pending', idempotencyKey: 'order-2' });
+
+    assert.equal(second.id, first.id);
+    assert.notEqual(other.id, first.id);
+    assert.equal(first.idempotency_key, 'order-1');
+    assert.equal(await adapter.countTaskRuns(), 2);
+  });
+
+  await t.test('deduplicates concurrent creates', async () => {
+    const runs = await Promise.all(Array.from({ length: 5 }, () =>
+      adapter.createTaskRun({ task_identifier: 'charge', status: 'pending', idempotencyKey: 'order-1' })));
+
+    assert.equal(new Set(runs.map(run => run.id)).size, 1);
+    assert.equal(await adapter.countTaskRuns(), 1);
+  });
+
+  await t.test('lets an expired key create a new run', async () => {
+    const first = await adapter.createTaskRun({ task_identifier: 'charge', status: 'pending', idempotencyKey: 'order-1' });
+    adapter.db.run('UPDATE task_runs SET idempotency_expires_at = ? WHERE id = ?', [Date.now() - 1, first.id]);
+
+    const second = await adapter.createTaskRun({ task_identifier: 'charge', status: 'pending', idempotencyKey: 'order-1' });
+    assert.notEqual(second.id, first.id);
+    assert.equal((await adapter.getTaskRun(first.id)).idempotency_key, null);
+  });
+
+  await t.test('keeps keys forever without a window', async () => {
+    await adapter.close();
+    adapter = new SQLiteAdapter(':memory:', { idempotencyWindow: null });
+    await adapter.init();
+
+    const run = await adapter.createTaskRun({ task_identifier: 'charge', status: 'pending', idempotencyKey: 'order-1' });
+    assert.equal(run.idempotency_expires_at, null);
+  });
+
+  await t.test('scopes stack run keys to their task run', async () => {
+    const taskRun = await adapter.createTaskRun({ task_identifier: 'flow', status: 'running' });
+    const otherTaskRun = await adapter.createTaskRun({ task_identifier: 'flow', status: 'running' });
+
+    const call = { task_run_id: taskRun.id, operation: 'fetch', status: 'pending', idempotencyKey: 'call-3' };
+    const first = await adapter.createStackRun(call);
+    const repeated = await adapter.createStackRun(call);
+    const elsewhere = await adapter.createStackRun({ ...call, task_run_id: otherTaskRun.id });
+
+    assert.equal(repeated.id, first.id);
+    assert.notEqual(elsewhere.id, first.id);
+    assert.equal(await adapter.countStackRuns(), 2);
+  });
+
+  await t.test('does not emit events for a deduplicated create', async () => {
+    const events = [];
+    adapter.on('taskRun:created', ({ record }) => events.push(record.id));
+
+    await adapter.createTaskRun({ task_identifier: 'charge', status: 'pending', idempotencyKey: 'order-1' });
+    await adapter.createTaskRun({ task_identifier: 'charge', status: 'pending', idempotencyKey: 'order-1' });
+    assert.equal(events.length, 1);
+  });
+});
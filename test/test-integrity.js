@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SQLiteAdapter, CorruptDatabaseError } from '../src/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const dbPath = path.join(__dirname, 'integrity-test.db');
+
+const cleanup = () => {
+  for (const file of fs.readdirSync(__dirname)) {
+    if (file.startsWith('integrity-test.db')) fs.unlinkSync(path.join(__dirname, file));
+  }
+};
+
+const quarantined = () => fs.readdirSync(__dirname).filter(file => /^integrity-test\.db\.corrupt-[^-]/.test(file) && !/-(wal|shm)$/.test(file));
+
+// Overwrites the root page of a table so only that table becomes unreadable.
+const corruptTable = async (table) => {
+  const adapter = new SQLiteAdapter(dbPath, { driver: 'sql.js' });
+  await adapter.init();
+  const { rootpage } = adapter.db.get('SELECT rootpage FROM sqlite_master WHERE name = ?', [table]);
+  const pageSize = adapter.db.get('PRAGMA page_size').page_size;
+  await adapter.close();
+
+  const fd = fs.openSync(dbPath, 'r+');
+  fs.writeSync(fd, Buffer.alloc(pageSize, 0xff), 0, pageSize, (rootpage - 1) * pageSize);
+  fs.closeSync(fd);
+};
+
+test('SQLiteAdapter - Integrity', async (t) => {
+  t.beforeEach(cleanup);
+  t.afterEach(cleanup);
+
+  await t.test('reports a healthy database', async () => {
+    const adapter = new SQLiteAdapter(dbPath);
+    await adapter.init();
+    assert.deepEqual(await adapter.checkIntegrity(), { ok: true, problems: [] });
+    assert.equal(adapter.corruption, null);
+    await adapter.close();
+  });
+
+  await t.test('quarantines a corrupt file instead of overwriting it', async () => {
+    const garbage = Buffer.alloc(8192, 0x42);
+    fs.writeFileSync(dbPath, garbage);
+
+    const adapter = new SQLiteAdapter(dbPath);
+    await adapter.init();
+    assert.equal(await adapter.countTaskRuns(), 0);
+    assert.ok(adapter.corruption.problems.length > 0);
+    await adapter.close();
+
+    const [backup] = quarantined();
+    assert.ok(backup);
+    assert.equal(path.join(__dirname, backup), adapter.corruption.quarantinePath);
+    assert.ok(fs.readFileSync(path.join(__dirname, backup)).equals(garbage));
+  });
+
+  await t.test('throws in strict mode and leaves the file alone', async () => {
+    fs.writeFileSync(dbPath, Buffer.alloc(8192, 0x42));
+
+    const adapter = new SQLiteAdapter(dbPath, { onCorruption: 'throw' });
+    await assert.rejects(adapter.init(), (err) => {
+      assert.ok(err instanceof CorruptDatabaseError);
+      assert.equal(err.dbPath, dbPath);
+      assert.ok(err.problems.length > 0);
+      return true;
+    });
+    assert.ok(fs.readFileSync(dbPath).equals(Buffer.alloc(8192, 0x42)));
+    assert.deepEqual(quarantined(), []);
+  });
+
+  await t.test('detects damaged pages with integrity_check', async () => {
+    const adapter = new SQLiteAdapter(dbPath, { driver: 'sql.js' });
+    await adapter.init();
+    await adapter.setKeystore('k', JSON.stringify('v'));
+    await adapter.close();
+    await corruptTable('keystore');
+
+    await assert.rejects(new SQLiteAdapter(dbPath, { driver: 'sql.js', onCorruption: 'throw' }).init(), CorruptDatabaseError);
+  });
+
+  await t.test('recovers readable rows when asked to', async () => {
+    const adapter = new SQLiteAdapter(dbPath, { driver: 'sql.js' });
+    await adapter.init();
+    const taskRun = await adapter.createTaskRun({ task_identifier: 'survivor', status: 'pending' });
+    await adapter.createStackRun({ task_run_id: taskRun.id, operation: 'step', status: 'pending' });
+    await adapter.setKeystore('k', JSON.stringify('v'));
+    await adapter.close();
+    await corruptTable('keystore');
+
+    const recovered = new SQLiteAdapter(dbPath, { driver: 'sql.js', onCorruption: 'recover' });
+    await recovered.init();
+    assert.equal(recovered.corruption.salvaged.task_runs, 1);
+    assert.equal(recovered.corruption.salvaged.stack_runs, 1);
+    assert.equal(recovered.corruption.salvaged.keystore, 0);
+    assert.equal((await recovered.getTaskRun(taskRun.id)).task_identifier, 'survivor');
+    assert.equal(await recovered.getKeystore('k'), null);
+
+    const next = await recovered.createTaskRun({ task_identifier: 'after', status: 'pending' });
+    assert.ok(next.id > taskRun.id);
+    assert.deepEqual(await recovered.checkIntegrity(), { ok: true, problems: [] });
+    await recovered.close();
+    assert.equal(quarantined().length, 1);
+  });
+
+  await t.test('rejects unknown corruption modes', () => {
+    assert.throws(() => new SQLiteAdapter(':memory:', { onCorruption: 'ignore' }), TypeError);
+  });
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { SQLiteAdapter, InvalidColumnError } from '../src/index.js';
+import { buildSelect } from '../src/query.js';
+
+test('SQLiteAdapter - JSON Path Filters', async (t) => {
+  let adapter;
+  let runs;
+
+  t.beforeEach(async () => {
+    adapter = new SQLiteAdapter();
+    await adapter.init();
+    runs = [
+      await adapter.createTaskRun({
+        task_identifier: 'charge', status: 'completed',
+        input: { customerId: 42, rush: true, items: [{ sku: 'A-1' }] }, result: { status: 'paid', total: 120 }
+      }),
+      await adapter.createTaskRun({
+        task_identifier: 'charge', status: 'failed',
+        input: { customerId: 7, rush: false, items: [{ sku: 'B-2' }] }, result: { status: 'declined', total: 40 }
+      }),
+      await adapter.createTaskRun({ task_identifier: 'note', status: 'pending', input: 'not json' })
+    ];
+  });
+
+  t.afterEach(async () => {
+    await adapter.close();
+  });
+
+  const ids = (rows) => rows.map(row => row.id);
+
+  await t.test('filters on values inside JSON columns', async () => {
+    assert.deepEqual(ids(await adapter.queryTaskRuns({ 'input.customerId': 42 })), [runs[0].id]);
+    assert.deepEqual(ids(await adapter.queryTaskRuns({ 'result.status': { $in: ['paid', 'refunded'] } })), [runs[0].id]);
+    assert.deepEqual(ids(await adapter.queryTaskRuns({ 'result.total': { $gt: 50 }, status: 'completed' })), [runs[0].id]);
+    assert.deepEqual(ids(await adapter.queryTaskRuns({ 'input.rush': false })), [runs[1].id]);
+    assert.deepEqual(ids(await adapter.queryTaskRuns({ 'input.items[0].sku': { $like: 'B-%' } })), [runs[1].id]);
+    assert.deepEqual(ids(await adapter.queryTaskRuns({ 'input.customerId': null })), [runs[2].id]);
+    assert.equal(await adapter.countTaskRuns({ 'input.customerId': { $null: false } }), 2);
+  });
+
+  await t.test('filters stack runs, including resume payloads', async () => {
+    const stackRun = await adapter.createStackRun({ task_run_id: runs[0].id, operation: 'wait', status: 'pending' });
+    await adapter.updateStackRun(stackRun.id, { resume_payload: JSON.stringify({ child: { ok: true } }) });
+
+    assert.deepEqual(ids(await adapter.queryStackRuns({ 'resume_payload.child.ok': true })), [stackRun.id]);
+  });
+
+  await t.test('rejects invalid paths', async () => {
+    await assert.rejects(adapter.queryTaskRuns({ 'status.code': 1 }), InvalidColumnError);
+    await assert.rejects(adapter.queryTaskRuns({ "input.a') OR 1=1 --": 1 }), InvalidColumnError);
+    await assert.rejects(adapter.queryTaskRuns({ 'input.': 1 }), (err) => {
+      assert.ok(err instanceof InvalidColumnError);
+      assert.equal(err.field, 'input.');
+      return true;
+    });
+    await assert.rejects(adapter.queryStackRuns({ 'schedule.id': 1 }), InvalidColumnError);
+  });
+
+  await t.test('indexes a path with a generated column', async () => {
+    assert.equal(await adapter.createJsonIndex('task_runs', 'input.customerId'), true);
+    assert.equal(await adapter.createJsonIndex('task_runs', 'input.customerId'), false);
+    assert.deepEqual(await adapter.getJsonIndexes(), { task_runs: ['input.customerId'], stack_runs: [] });
+
+    const { sql, values } = buildSelect('task_runs', { 'input.customerId': 42 }, {}, ['input.customerId']);
+    const plan = adapter.db.all(`EXPLAIN QUERY PLAN ${sql}`, values).map(row => row.detail).join('\n');
+    assert.match(plan, /USING INDEX/);
+
+    const [run] = await adapter.queryTaskRuns({ 'input.customerId': 42 });
+    assert.equal(run.id, runs[0].id);
+    assert.ok(!('input.customerId' in run));
+    assert.ok(!('input.customerId' in await adapter.getTaskRun(runs[0].id)));
+
+    const updated = await adapter.updateTaskRun(runs[1].id, { input: JSON.stringify({ customerId: 42 }) });
+    assert.equal(updated.status, 'failed');
+    assert.equal((await adapter.queryTaskRuns({ 'input.customerId': 42 })).length, 2);
+
+    assert.equal(await adapter.dropJsonIndex('task_runs', 'input.customerId'), true);
+    assert.deepEqual((await adapter.getJsonIndexes()).task_runs, []);
+    assert.equal((await adapter.queryTaskRuns({ 'input.customerId': 42 })).length, 2);
+  });
+
+  await t.test('creates configured indexes on init', async () => {
+    const indexed = new SQLiteAdapter(':memory:', { jsonIndexes: { stack_runs: ['input.step'], task_runs: ['result.status'] } });
+    await indexed.init();
+    assert.deepEqual(await indexed.getJsonIndexes(), { task_runs: ['result.status'], stack_runs: ['input.step'] });
+
+    await indexed.createTaskRun({ task_identifier: 'x', status: 'completed', result: { status: 'paid' } });
+    const snapshot = await indexed.snapshot();
+    await indexed.restore(snapshot);
+    assert.equal((await indexed.queryTaskRuns({ 'result.status': 'paid' })).length, 1);
+    await indexed.close();
+
+    assert.throws(() => new SQLiteAdapter(':memory:', { jsonIndexes: { keystore: ['value.x'] } }), TypeError);
+    await assert.rejects(adapter.createJsonIndex('task_runs', 'status.x'), InvalidColumnError);
+  });
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { SQLiteAdapter } from '../src/index.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('SQLiteAdapter - Keystore Extensions', async (t) => {
+  let adapter;
+
+  t.beforeEach(async () => {
+    adapter = new SQLiteAdapter();
+    await adapter.init();
+  });
+
+  t.afterEach(async () => {
+    await adapter.close();
+  });
+
+  await t.test('refreshes updated_at when a key is overwritten', async () => {
+    await adapter.setKeystore('k', JSON.stringify({ v: 1 }));
+    adapter.db.run(`UPDATE keystore SET created_at = '2000-01-01 00:00:00', updated_at = '2000-01-01 00:00:00'`);
+    await adapter.setKeystore('k', JSON.stringify({ v: 2 }));
+
+    const row = adapter.db.get('SELECT created_at, updated_at FROM keystore WHERE key = ?', ['k']);
+    assert.equal(row.created_at, '2000-01-01 00:00:00');
+    assert.notEqual(row.updated_at, '2000-01-01 00:00:00');
+    assert.deepEqual(await adapter.getKeystore('k'), { v: 2 });
+  });
+
+  await t.test('lists keys by prefix', async () => {
+    await adapter.setManyKeystore({
+      'task:1:token': JSON.stringify('a'),
+      'task:1:cache': JSON.stringify('b'),
+      'task:10:token': JSON.stringify('c'),
+      'other': JSON.stringify('d')
+    });
+
+    const listed = await adapter.listKeystore('task:1:');
+    assert.deepEqual(listed.map(entry => entry.key), ['task:1:cache', 'task:1:token']);
+    assert.equal(listed[1].value, 'a');
+    assert.equal((await adapter.listKeystore('', { limit: 2 })).length, 2);
+    assert.equal((await adapter.listKeystore('task%')).length, 0);
+  });
+
+  await t.test('reads several keys at once', async () => {
+    await adapter.setManyKeystore([['a', JSON.stringify(1)], ['b', JSON.stringify(2)]]);
+    assert.deepEqual(await adapter.getManyKeystore(['a', 'b', 'missing']), { a: 1, b: 2 });
+    assert.deepEqual(await adapter.getManyKeystore([]), {});
+  });
+
+  await t.test('expires entries after their ttl and sweeps them', async () => {
+    await adapter.setKeystore('short', JSON.stringify('gone'), { ttl: 5 });
+    await adapter.setKeystore('long', JSON.stringify('kept'), { ttl: 60000 });
+    await adapter.setKeystore('forever', JSON.stringify('kept'));
+    await sleep(10);
+
+    assert.equal(await adapter.getKeystore('short'), null);
+    assert.deepEqual(Object.keys(await adapter.getManyKeystore(['short', 'long'])), ['long']);
+    assert.equal(await adapter.sweepKeystore(), 1);
+    assert.equal(adapter.db.get('SELECT COUNT(*) AS count FROM keystore').count, 2);
+  });
+
+  await t.test('compare-and-set acts as a simple lock', async () => {
+    assert.equal(await adapter.compareAndSetKeystore('lock', null, JSON.stringify('worker-a'), { ttl: 60000 }), true);
+    assert.equal(await adapter.compareAndSetKeystore('lock', null, JSON.stringify('worker-b')), false);
+    assert.equal(await adapter.compareAndSetKeystore('lock', JSON.stringify('worker-b'), JSON.stringify('worker-c')), false);
+    assert.equal(await adapter.compareAndSetKeystore('lock', JSON.stringify('worker-a'), JSON.stringify('worker-a2')), true);
+    assert.equal(await adapter.getKeystore('lock'), 'worker-a2');
+    assert.equal(await adapter.compareAndSetKeystore('lock', JSON.stringify('worker-a2'), null), true);
+    assert.equal(await adapter.getKeystore('lock'), null);
+  });
+
+  await t.test('compare-and-set can take over an expired lock', async () => {
+    await adapter.compareAndSetKeystore('lock', null, JSON.stringify('crashed'), { ttl: 5 });
+    await sleep(10);
+    assert.equal(await adapter.compareAndSetKeystore('lock', JSON.stringify('crashed'), JSON.stringify('late')), false);
+    assert.equal(await adapter.compareAndSetKeystore('lock', null, JSON.stringify('survivor')), true);
+    assert.equal(await adapter.getKeystore('lock'), 'survivor');
+  });
+});
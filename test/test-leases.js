@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SQLiteAdapter } from '../src/index.js';
+import { resolveDriver } from '../src/drivers/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('SQLiteAdapter - Stack Run Leases', async (t) => {
+  let adapter;
+  let taskRun;
+
+  t.beforeEach(async () => {
+    adapter = new SQLiteAdapter();
+    await adapter.init();
+    taskRun = await adapter.createTaskRun({ task_identifier: 'leased', status: 'running' });
+  });
+
+  t.afterEach(async () => {
+    await adapter.close();
+  });
+
+  await t.test('claims each stack run for one worker only', async () => {
+    await adapter.createStackRun({ task_run_id: taskRun.id, operation: 'op1', status: 'pending' });
+    await adapter.createStackRun({ task_run_id: taskRun.id, operation: 'op2', status: 'pending' });
+
+    const first = await adapter.claimNextStackRun('worker-a');
+    const second = await adapter.claimNextStackRun('worker-b');
+    const third = await adapter.claimNextStackRun('worker-c');
+
+    assert.equal(first.lease_owner, 'worker-a');
+    assert.equal(second.lease_owner, 'worker-b');
+    assert.notEqual(first.id, second.id);
+    assert.equal(third, null);
+    assert.equal((await adapter.getPendingStackRuns()).length, 0);
+  });
+
+  await t.test('lets another worker claim an expired lease', async () => {
+    const stackRun = await adapter.createStackRun({ task_run_id: taskRun.id, operation: 'op', status: 'pending' });
+    await adapter.claimNextStackRun('crashed', { leaseMs: 5 });
+    await sleep(10);
+
+    const reclaimed = await adapter.claimNextStackRun('survivor');
+    assert.equal(reclaimed.id, stackRun.id);
+    assert.equal(await adapter.renewStackRunLease(stackRun.id, 'crashed'), false);
+  });
+
+  await t.test('renews and releases only for the lease owner', async () => {
+    const stackRun = await adapter.createStackRun({ task_run_id: taskRun.id, operation: 'op', status: 'pending' });
+    await adapter.claimNextStackRun('owner');
+
+    assert.equal(await adapter.renewStackRunLease(stackRun.id, 'intruder'), false);
+    assert.equal(await adapter.renewStackRunLease(stackRun.id, 'owner', { leaseMs: 60000 }), true);
+    assert.equal(await adapter.releaseStackRun(stackRun.id, 'intruder'), false);
+    assert.equal(await adapter.releaseStackRun(stackRun.id, 'owner'), true);
+    assert.equal((await adapter.claimNextStackRun('next')).id, stackRun.id);
+  });
+
+  await t.test('reclaims running rows abandoned by crashed workers', async () => {
+    const stackRun = await adapter.createStackRun({ task_run_id: taskRun.id, operation: 'op', status: 'pending' });
+    await adapter.claimNextStackRun('crashed', { leaseMs: 5 });
+    await adapter.updateStackRun(stackRun.id, { status: 'running' });
+    await sleep(10);
+
+    assert.equal(await adapter.reclaimExpiredLeases(), 1);
+    const reset = await adapter.getStackRun(stackRun.id);
+    assert.equal(reset.status, 'pending');
+    assert.equal(reset.lease_owner, null);
+  });
+
+  await t.test('releases the lease when the run leaves the worker', async () => {
+    const stackRun = await adapter.createStackRun({ task_run_id: taskRun.id, operation: 'op', status: 'pending' });
+    await adapter.claimNextStackRun('worker');
+    const completed = await adapter.updateStackRun(stackRun.id, { status: 'completed' });
+    assert.equal(completed.lease_owner, null);
+  });
+});
+
+test('SQLiteAdapter - Stack Run Leases across adapters', async (t) => {
+  const Driver = await resolveDriver('auto');
+  const shared = !new Driver(':memory:').inMemoryImage;
+
+  await t.test('two adapters on one file never claim the same row', { skip: !shared && 'needs a native driver' }, async () => {
+    const dbPath = path.join(__dirname, 'lease-shared.db');
+    const workerA = new SQLiteAdapter(dbPath);
+    const workerB = new SQLiteAdapter(dbPath);
+    await workerA.init();
+    await workerB.init();
+
+    const taskRun = await workerA.createTaskRun({ task_identifier: 'shared', status: 'running' });
+    for (let i = 0; i < 4; i++) {
+      await workerA.createStackRun({ task_run_id: taskRun.id, operation: `op${i}`, status: 'pending' });
+    }
+
+    const claimed = [];
+    for (let i = 0; i < 3; i++) {
+      claimed.push(await workerA.claimNextStackRun('a'), await workerB.claimNextStackRun('b'));
+    }
+    const ids = claimed.filter(Boolean).map(run => run.id);
+    assert.equal(ids.length, 4);
+    assert.equal(new Set(ids).size, 4);
+
+    await workerA.close();
+    await workerB.close();
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(dbPath + suffix)) fs.unlinkSync(dbPath + suffix);
+    }
+  });
+});
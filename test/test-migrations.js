@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SQLiteAdapter, SCHEMA_VERSION, SchemaVersionError, MigrationError } from '../src/index.js';
+import { MIGRATIONS } from '../src/migrations.js';
+import { openDriver } from '../src/drivers/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const cleanup = (dbPath) => {
+  for (const suffix of ['', '-wal', '-shm']) {
+    if (fs.existsSync(dbPath + suffix)) fs.unlinkSync(dbPath + suffix);
+  }
+};
+
+test('SQLiteAdapter - Migrations', async (t) => {
+  await t.test('new databases start at the current schema version', async () => {
+    const adapter = new SQLiteAdapter();
+    await adapter.init();
+    assert.equal(await adapter.getSchemaVersion(), SCHEMA_VERSION);
+    assert.deepEqual(await adapter.migrate(), { from: SCHEMA_VERSION, to: SCHEMA_VERSION });
+    await adapter.close();
+  });
+
+  await t.test('upgrades a baseline database in place', async () => {
+    const dbPath = path.join(__dirname, 'baseline-migration.db');
+    const baseline = await openDriver(dbPath, { driver: 'sql.js' });
+    MIGRATIONS[0].statements.forEach(stmt => baseline.exec(stmt));
+    const { lastInsertRowid } = baseline.run(
+      'INSERT INTO task_runs (task_identifier, status) VALUES (?, ?)',
+      ['legacy', 'completed']
+    );
+    fs.writeFileSync(dbPath, baseline.export());
+    baseline.close();
+
+    const adapter = new SQLiteAdapter(dbPath);
+    await adapter.init();
+    assert.equal(await adapter.getSchemaVersion(), SCHEMA_VERSION);
+    assert.equal((await adapter.getTaskRun(lastInsertRowid)).task_identifier, 'legacy');
+    await adapter.close();
+    cleanup(dbPath);
+  });
+
+  await t.test('refuses to open a database newer than the code', async () => {
+    const dbPath = path.join(__dirname, 'future-migration.db');
+    const adapter1 = new SQLiteAdapter(dbPath);
+    await adapter1.init();
+    adapter1.db.run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [SCHEMA_VERSION + 1, 'future']);
+    await adapter1.close();
+
+    const adapter2 = new SQLiteAdapter(dbPath);
+    await assert.rejects(() => adapter2.init(), SchemaVersionError);
+    await adapter2.close();
+    cleanup(dbPath);
+  });
+
+  await t.test('rejects migrating down', async () => {
+    const adapter = new SQLiteAdapter();
+    await adapter.init();
+    await assert.rejects(() => adapter.migrate({ to: 0 }), MigrationError);
+    await adapter.close();
+  });
+});
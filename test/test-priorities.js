@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { SQLiteAdapter } from '../src/index.js';
+
+test('SQLiteAdapter - Priorities and Fairness', async (t) => {
+  let adapter;
+
+  t.beforeEach(async () => {
+    adapter = new SQLiteAdapter();
+    await adapter.init();
+  });
+
+  t.afterEach(async () => {
+    await adapter.close();
+  });
+
+  const addStackRuns = async (identifier, count, { priority } = {}) => {
+    const taskRun = await adapter.createTaskRun({ task_identifier: identifier, status: 'running', priority });
+    const ids = [];
+    for (let i = 0; i < count; i++) {
+      ids.push((await adapter.createStackRun({ task_run_id: taskRun.id, operation: `${identifier}-${i}`, status: 'pending' })).id);
+    }
+    return ids;
+  };
+
+  const operations = (runs) => runs.map(run => run.operation);
+
+  await t.test('orders by priority, then insertion order', async () => {
+    await addStackRuns('batch', 2);
+    await addStackRuns('interactive', 1, { priority: 10 });
+    const taskRun = await adapter.createTaskRun({ task_identifier: 'mixed', status: 'running' });
+    await adapter.createStackRun({ task_run_id: taskRun.id, operation: 'urgent', status: 'pending', priority: 20 });
+
+    assert.deepEqual(operations(await adapter.getPendingStackRuns()), ['urgent', 'interactive-0', 'batch-0', 'batch-1']);
+    assert.deepEqual(operations(await adapter.getPendingStackRuns({ limit: 2 })), ['urgent', 'interactive-0']);
+    assert.equal((await adapter.claimNextStackRun('worker-1')).operation, 'urgent');
+  });
+
+  await t.test('stack runs inherit the priority of their task run', async () => {
+    const [id] = await addStackRuns('interactive', 1, { priority: 5 });
+    assert.equal((await adapter.getStackRun(id)).priority, 5);
+    assert.equal((await adapter.queryTaskRuns({ priority: { $gte: 5 } })).length, 1);
+  });
+
+  await t.test('interleaves task identifiers round-robin', async () => {
+    await addStackRuns('batch', 3);
+    await addStackRuns('report', 2);
+
+    assert.deepEqual(
+      operations(await adapter.getPendingStackRuns({ fairness: 'round-robin' })),
+      ['batch-0', 'report-0', 'batch-1', 'report-1', 'batch-2']
+    );
+  });
+
+  await t.test('caps in-flight stack runs per task identifier', async () => {
+    await addStackRuns('batch', 3);
+    await addStackRuns('report', 1);
+
+    const scheduling = { maxInFlight: 1 };
+    assert.deepEqual(operations(await adapter.getPendingStackRuns(scheduling)), ['batch-0', 'report-0']);
+
+    assert.equal((await adapter.claimNextStackRun('worker-1', scheduling)).operation, 'batch-0');
+    assert.equal((await adapter.claimNextStackRun('worker-2', scheduling)).operation, 'report-0');
+    assert.equal(await adapter.claimNextStackRun('worker-3', scheduling), null);
+  });
+
+  await t.test('applies constructor defaults', async () => {
+    await adapter.close();
+    adapter = new SQLiteAdapter(':memory:', { scheduling: { fairness: 'round-robin', maxInFlight: 2 } });
+    await adapter.init();
+    await addStackRuns('batch', 3);
+    await addStackRuns('report', 1);
+
+    assert.deepEqual(operations(await adapter.getPendingStackRuns()), ['batch-0', 'report-0', 'batch-1']);
+    assert.throws(() => new SQLiteAdapter(':memory:', { scheduling: { fairness: 'random' } }), TypeError);
+    await assert.rejects(adapter.getPendingStackRuns({ maxInFlight: 0 }), TypeError);
+  });
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { SQLiteAdapter, ValidationError } from '../src/index.js';
+
+test('SQLiteAdapter - Query Language', async (t) => {
+  let adapter;
+
+  t.beforeEach(async () => {
+    adapter = new SQLiteAdapter();
+    await adapter.init();
+    await adapter.createTaskRun({ task_identifier: 'import-users', status: 'completed' });
+    await adapter.createTaskRun({ task_identifier: 'import-orders', status: 'failed', error: 'timeout' });
+    await adapter.createTaskRun({ task_identifier: 'send-email', status: 'pending' });
+    await adapter.createTaskRun({ task_identifier: 'send-sms', status: 'running' });
+  });
+
+  t.afterEach(async () => {
+    await adapter.close();
+  });
+
+  await t.test('keeps plain equality filters working', async () => {
+    const results = await adapter.queryTaskRuns({ status: 'pending' });
+    assert.deepEqual(results.map(r => r.task_identifier), ['send-email']);
+  });
+
+  await t.test('supports comparison, list and pattern operators', async () => {
+    const ids = (rows) => rows.map(r => r.task_identifier);
+
+    assert.deepEqual(ids(await adapter.queryTaskRuns({ status: { $ne: 'pending' }, task_identifier: { $like: 'send-%' } })), ['send-sms']);
+    assert.deepEqual(ids(await adapter.queryTaskRuns({ status: { $in: ['failed', 'running'] } })), ['import-orders', 'send-sms']);
+    assert.deepEqual(ids(await adapter.queryTaskRuns({ status: { $nin: ['failed', 'running', 'pending'] } })), ['import-users']);
+    assert.deepEqual(ids(await adapter.queryTaskRuns({ error: { $null: false } })), ['import-orders']);
+    assert.equal((await adapter.queryTaskRuns({ error: null })).length, 3);
+    assert.equal((await adapter.queryTaskRuns({ id: { $gt: 1, $lte: 3 } })).length, 2);
+  });
+
+  await t.test('compares timestamps against Date values', async () => {
+    const past = new Date(Date.now() - 60 * 60 * 1000);
+    const future = new Date(Date.now() + 60 * 60 * 1000);
+    assert.equal((await adapter.queryTaskRuns({ created_at: { $gte: past, $lt: future } })).length, 4);
+    assert.equal((await adapter.queryTaskRuns({ updated_at: { $gt: future } })).length, 0);
+  });
+
+  await t.test('orders, limits and offsets results', async () => {
+    const results = await adapter.queryTaskRuns({}, { orderBy: 'task_identifier DESC', limit: 2, offset: 1 });
+    assert.deepEqual(results.map(r => r.task_identifier), ['send-email', 'import-users']);
+  });
+
+  await t.test('pages through results with a cursor', async () => {
+    const seen = [];
+    let cursor;
+    do {
+      const page = await adapter.queryTaskRunsPage({}, { orderBy: '-task_identifier', limit: 3, cursor });
+      seen.push(...page.items.map(r => r.task_identifier));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    assert.deepEqual(seen, ['send-sms', 'send-email', 'import-users', 'import-orders']);
+  });
+
+  await t.test('pages past NULLs in the order column', async () => {
+    // The four seeded runs have no deadline.
+    await adapter.createTaskRun({ task_identifier: 'due-late', status: 'pending', deadline_at: 2000 });
+    await adapter.createTaskRun({ task_identifier: 'due-early', status: 'pending', deadline_at: 1000 });
+
+    const page = async (orderBy) => {
+      const seen = [];
+      let cursor;
+      do {
+        const result = await adapter.queryTaskRunsPage({}, { orderBy, limit: 2, cursor });
+        seen.push(...result.items.map(r => r.id));
+        cursor = result.nextCursor;
+      } while (cursor);
+      return seen;
+    };
+
+    assert.deepEqual(await page('deadline_at'), [1, 2, 3, 4, 6, 5]);
+    assert.deepEqual(await page('-deadline_at'), [5, 6, 4, 3, 2, 1]);
+    assert.deepEqual(await page(['deadline_at', '-id']), [4, 3, 2, 1, 6, 5]);
+  });
+
+  await t.test('counts matching rows', async () => {
+    assert.equal(await adapter.countTaskRuns({ task_identifier: { $like: 'import-%' } }), 2);
+    assert.equal(await adapter.countStackRuns(), 0);
+  });
+
+  await t.test('applies the same language to stack runs', async () => {
+    const [taskRun] = await adapter.queryTaskRuns({ status: 'running' });
+    for (const operation of ['a', 'b', 'c']) {
+      await adapter.createStackRun({ task_run_id: taskRun.id, operation, status: 'pending' });
+    }
+    const results = await adapter.queryStackRuns({ operation: { $ne: 'b' } }, { orderBy: '-id', limit: 1 });
+    assert.deepEqual(results.map(r => r.operation), ['c']);
+  });
+
+  await t.test('rejects unknown operators and bad cursors', async () => {
+    await assert.rejects(() => adapter.queryTaskRuns({ status: { $regex: 'x' } }), ValidationError);
+    await assert.rejects(() => adapter.queryTaskRunsPage({}, { cursor: 'not-a-cursor' }), ValidationError);
+    await assert.rejects(() => adapter.queryTaskRuns({}, { limit: -1 }), ValidationError);
+  });
+});
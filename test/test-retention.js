@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { SQLiteAdapter, ValidationError } from '../src/index.js';
+
+const age = (adapter, id, days) => {
+  adapter.db.run(`UPDATE task_runs SET updated_at = datetime('now', ?) WHERE id = ?`, [`-${days} days`, id]);
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('SQLiteAdapter - Retention', async (t) => {
+  let adapter;
+
+  t.beforeEach(async () => {
+    adapter = new SQLiteAdapter();
+    await adapter.init();
+  });
+
+  t.afterEach(async () => {
+    await adapter.close();
+  });
+
+  const seed = async (status, days, stackRuns = 1) => {
+    const run = await adapter.createTaskRun({ task_identifier: 'job', status });
+    for (let i = 0; i < stackRuns; i++) {
+      await adapter.createStackRun({ task_run_id: run.id, operation: `op${i}`, status: 'completed' });
+    }
+    age(adapter, run.id, days);
+    return run;
+  };
+
+  await t.test('removes finished runs older than the cutoff with their stack runs', async () => {
+    const old = await seed('completed', 10, 2);
+    const recent = await seed('completed', 1);
+    const active = await seed('running', 10);
+
+    const removed = await adapter.prune({ olderThan: 7 * DAY });
+    assert.deepEqual(removed, { stackRuns: 2, taskRuns: 1 });
+    assert.equal(await adapter.getTaskRun(old.id), null);
+    assert.equal(await adapter.countStackRuns({ task_run_id: old.id }), 0);
+    assert.ok(await adapter.getTaskRun(recent.id));
+    assert.ok(await adapter.getTaskRun(active.id));
+  });
+
+  await t.test('limits pruning to the given statuses', async () => {
+    const failed = await seed('failed', 10);
+    const completed = await seed('completed', 10);
+
+    await adapter.prune({ olderThan: DAY, statuses: ['completed'] });
+    assert.ok(await adapter.getTaskRun(failed.id));
+    assert.equal(await adapter.getTaskRun(completed.id), null);
+  });
+
+  await t.test('keeps the most recent finished runs', async () => {
+    const runs = [];
+    for (let i = 0; i < 5; i++) runs.push(await seed('completed', 30));
+
+    const removed = await adapter.prune({ keepLast: 2 });
+    assert.equal(removed.taskRuns, 3);
+    const remaining = (await adapter.queryTaskRuns()).map(r => r.id);
+    assert.deepEqual(remaining, runs.slice(3).map(r => r.id));
+  });
+
+  await t.test('requires a bound on what to delete', async () => {
+    await assert.rejects(() => adapter.prune(), ValidationError);
+  });
+
+  await t.test('applies a retention policy from the constructor', async () => {
+    const retained = new SQLiteAdapter(':memory:', { retention: { keepLast: 1, interval: 60000 } });
+    await retained.init();
+    assert.equal(retained._timers.length, 1);
+
+    await retained.createTaskRun({ task_identifier: 'a', status: 'completed' });
+    await retained.createTaskRun({ task_identifier: 'b', status: 'completed' });
+    await retained.prune({ keepLast: 1 });
+    assert.deepEqual((await retained.queryTaskRuns()).map(r => r.task_identifier), ['b']);
+
+    await retained.close();
+    assert.equal(retained._timers.length, 0);
+  });
+
+  await t.test('trims the change log with the retention policy', async () => {
+    const retained = new SQLiteAdapter(':memory:', { retention: { keepLast: 1, changeLog: { keepLast: 2 }, interval: 60000 } });
+    await retained.init();
+    const created = [];
+    for (const task_identifier of ['a', 'b', 'c']) {
+      created.push(await retained.createTaskRun({ task_identifier, status: 'completed' }));
+    }
+    await retained._applyRetention({ keepLast: 1, changeLog: { keepLast: 2 } });
+    assert.deepEqual((await retained.getChanges()).map(c => c.entity_id), created.slice(1).map(r => r.id));
+    await retained.close();
+
+    const untrimmed = new SQLiteAdapter(':memory:', { retention: { keepLast: 1 } });
+    await untrimmed.init();
+    await untrimmed.createTaskRun({ task_identifier: 'a', status: 'completed' });
+    untrimmed.db.run(`UPDATE change_log SET created_at = '2000-01-01 00:00:00'`);
+    await untrimmed._applyRetention({ keepLast: 1 });
+    assert.equal((await untrimmed.getChanges()).length, 1);
+    await untrimmed.close();
+  });
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { SQLiteAdapter, NotFoundError, ValidationError, InvalidTransitionError } from '../src/index.js';
+
+test('SQLiteAdapter - Retries', async (t) => {
+  let adapter;
+  let taskRun;
+
+  t.beforeEach(async () => {
+    adapter = new SQLiteAdapter(':memory:', { retry: { maxAttempts: 3, baseDelay: 1000, maxDelay: 3000 } });
+    await adapter.init();
+    taskRun = await adapter.createTaskRun({ task_identifier: 'retry-task', status: 'running' });
+  });
+
+  t.afterEach(async () => {
+    await adapter.close();
+  });
+
+  await t.test('schedules a retry with exponential backoff', async () => {
+    const stackRun = await adapter.createStackRun({ task_run_id: taskRun.id, operation: 'op', status: 'running' });
+
+    const before = Date.now();
+    const first = await adapter.failStackRun(stackRun.id, new Error('boom'));
+    assert.equal(first.status, 'pending');
+    assert.equal(first.attempts, 1);
+    assert.equal(first.error.message, 'boom');
+    assert.ok(first.next_run_at >= before + 1000 && first.next_run_at <= Date.now() + 1000);
+
+    const second = await adapter.failStackRun(stackRun.id, 'again');
+    assert.equal(second.attempts, 2);
+    assert.ok(second.next_run_at >= before + 2000);
+
+    assert.equal(adapter._backoff(5), 3000);
+  });
+
+  await t.test('hides runs until next_run_at has passed', async () => {
+    const stackRun = await adapter.createStackRun({ task_run_id: taskRun.id, operation: 'op', status: 'running' });
+    await adapter.failStackRun(stackRun.id, 'boom');
+
+    assert.deepEqual(await adapter.getPendingStackRuns(), []);
+    assert.equal(await adapter.claimNextStackRun('worker-1'), null);
+
+    adapter.db.run('UPDATE stack_runs SET next_run_at = ? WHERE id = ?', [Date.now() - 1, stackRun.id]);
+    assert.equal((await adapter.getPendingStackRuns()).length, 1);
+    assert.equal((await adapter.claimNextStackRun('worker-1')).id, stackRun.id);
+  });
+
+  await t.test('accepts a Date for next_run_at in updates', async () => {
+    const stackRun = await adapter.createStackRun({ task_run_id: taskRun.id, operation: 'op', status: 'pending' });
+    const later = new Date(Date.now() + 60000);
+    assert.equal((await adapter.updateStackRun(stackRun.id, { next_run_at: later })).next_run_at, later.getTime());
+    assert.equal(await adapter.claimNextStackRun('worker-1'), null);
+
+    await adapter.updateStackRun(stackRun.id, { next_run_at: new Date(Date.now() - 1) });
+    assert.equal((await adapter.claimNextStackRun('worker-1')).id, stackRun.id);
+  });
+
+  await t.test('moves runs to the dead-letter queue once attempts are used up', async () => {
+    const stackRun = await adapter.createStackRun({ task_run_id: taskRun.id, operation: 'op', status: 'running', max_attempts: 2 });
+    await adapter.failStackRun(stackRun.id, 'one');
+    const last = await adapter.failStackRun(stackRun.id, 'two');
+    assert.equal(last.status, 'failed');
+    assert.equal(last.next_run_at, null);
+
+    const other = await adapter.createStackRun({ task_run_id: taskRun.id, operation: 'op', status: 'running' });
+    await adapter.failStackRun(other.id, 'fatal', { retry: false });
+
+    const deadLetters = await adapter.getDeadLetterStackRuns();
+    assert.deepEqual(deadLetters.map(run => run.id), [stackRun.id]);
+    assert.deepEqual(await adapter.getDeadLetterStackRuns({ taskRunId: taskRun.id + 1 }), []);
+  });
+
+  await t.test('requeues a failed run with fresh attempts', async () => {
+    const stackRun = await adapter.createStackRun({ task_run_id: taskRun.id, operation: 'op', status: 'running', max_attempts: 1 });
+    await adapter.failStackRun(stackRun.id, 'boom');
+
+    const requeued = await adapter.requeueStackRun(stackRun.id);
+    assert.equal(requeued.status, 'pending');
+    assert.equal(requeued.attempts, 0);
+    assert.deepEqual(await adapter.getDeadLetterStackRuns(), []);
+    assert.equal((await adapter.getPendingStackRuns()).length, 1);
+
+    await assert.rejects(adapter.requeueStackRun(stackRun.id), ValidationError);
+    await assert.rejects(adapter.requeueStackRun(999), NotFoundError);
+    await assert.rejects(adapter.failStackRun(999, 'boom'), NotFoundError);
+  });
+
+  await t.test('refuses to fail a run that already finished', async () => {
+    const done = await adapter.createStackRun({ task_run_id: taskRun.id, operation: 'op', status: 'completed' });
+    await assert.rejects(adapter.failStackRun(done.id, 'late'), (err) => {
+      assert.ok(err instanceof InvalidTransitionError);
+      assert.equal(err.from, 'completed');
+      return true;
+    });
+    assert.equal((await adapter.getStackRun(done.id)).status, 'completed');
+
+    const running = await adapter.createStackRun({ task_run_id: taskRun.id, operation: 'op', status: 'running' });
+    await adapter.cancelTaskRun(taskRun.id);
+    await assert.rejects(adapter.failStackRun(running.id, 'late'), InvalidTransitionError);
+
+    const cancelled = await adapter.getStackRun(running.id);
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.next_run_at, null);
+  });
+
+  await t.test('honours an explicit retry delay', async () => {
+    const stackRun = await adapter.createStackRun({ task_run_id: taskRun.id, operation: 'op', status: 'running' });
+    const retried = await adapter.failStackRun(stackRun.id, 'rate limited', { delay: 60000 });
+    assert.ok(retried.next_run_at >= Date.now() + 59000);
+  });
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SQLiteAdapter, ValidationError } from '../src/index.js';
+import { nextCronTime } from '../src/cron.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const at = (iso) => new Date(iso);
+
+test('SQLiteAdapter - Schedules', async (t) => {
+  let adapter;
+
+  t.beforeEach(async () => {
+    adapter = new SQLiteAdapter();
+    await adapter.init();
+  });
+
+  t.afterEach(async () => {
+    await adapter.close();
+  });
+
+  await t.test('materializes a delayed run once it is due', async () => {
+    const schedule = await adapter.scheduleTaskRun('report', JSON.stringify({ day: 1 }), { runAt: at('2030-01-01T09:00:00Z') });
+    assert.equal(schedule.next_run_at, at('2030-01-01T09:00:00Z').getTime());
+    assert.deepEqual(schedule.input, { day: 1 });
+
+    assert.deepEqual(await adapter.dueSchedules(at('2030-01-01T08:59:59Z')), []);
+
+    const [taskRun] = await adapter.dueSchedules(at('2030-01-01T09:00:00Z'));
+    assert.equal(taskRun.task_identifier, 'report');
+    assert.equal(taskRun.status, 'pending');
+    assert.deepEqual(taskRun.input, { day: 1 });
+    assert.equal(taskRun.schedule_id, schedule.id);
+
+    assert.deepEqual(await adapter.dueSchedules(at('2030-01-02T00:00:00Z')), []);
+    const done = await adapter.getSchedule(schedule.id);
+    assert.equal(done.enabled, false);
+    assert.equal(done.last_task_run_id, taskRun.id);
+  });
+
+  await t.test('advances cron schedules and collapses missed occurrences', async () => {
+    const schedule = await adapter.scheduleTaskRun('sync', null, { cron: '*/15 * * * *' });
+    adapter.db.run('UPDATE schedules SET next_run_at = ? WHERE id = ?', [at('2030-01-01T10:00:00Z').getTime(), schedule.id]);
+
+    const first = await adapter.dueSchedules(at('2030-01-01T10:50:00Z'));
+    assert.equal(first.length, 1);
+    assert.equal(first[0].scheduled_for, at('2030-01-01T10:00:00Z').getTime());
+    assert.equal((await adapter.getSchedule(schedule.id)).next_run_at, at('2030-01-01T11:00:00Z').getTime());
+
+    assert.equal((await adapter.dueSchedules(at('2030-01-01T11:00:00Z'))).length, 1);
+    assert.equal(await adapter.countTaskRuns({ schedule_id: schedule.id }), 2);
+    assert.equal((await adapter.getSchedule(schedule.id)).enabled, true);
+  });
+
+  await t.test('lists and deletes schedules', async () => {
+    const a = await adapter.scheduleTaskRun('a', null, { runAt: Date.now() + 60000 });
+    await adapter.scheduleTaskRun('b', null, { cron: '0 * * * *' });
+
+    assert.deepEqual((await adapter.listSchedules({ taskIdentifier: 'a' })).map(s => s.id), [a.id]);
+    assert.equal(await adapter.deleteSchedule(a.id), true);
+    assert.equal(await adapter.deleteSchedule(a.id), false);
+    assert.equal((await adapter.listSchedules()).length, 1);
+  });
+
+  await t.test('validates schedule options', async () => {
+    await assert.rejects(adapter.scheduleTaskRun('x', null, {}), ValidationError);
+    await assert.rejects(adapter.scheduleTaskRun('x', null, { runAt: Date.now(), cron: '* * * * *' }), ValidationError);
+    await assert.rejects(adapter.scheduleTaskRun('x', null, { runAt: 'soon' }), ValidationError);
+    await assert.rejects(adapter.scheduleTaskRun('x', null, { cron: '* * *' }), ValidationError);
+  });
+});
+
+test('SQLiteAdapter - Schedules across restarts', async (t) => {
+  const dbPath = path.join(__dirname, 'schedules-test.db');
+  const cleanup = () => {
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(dbPath + suffix)) fs.unlinkSync(dbPath + suffix);
+    }
+  };
+  t.beforeEach(cleanup);
+  t.afterEach(cleanup);
+
+  await t.test('never materializes an occurrence twice', async () => {
+    const first = new SQLiteAdapter(dbPath);
+    await first.init();
+    await first.scheduleTaskRun('nightly', null, { runAt: at('2030-01-01T00:00:00Z') });
+    assert.equal((await first.dueSchedules(at('2030-01-01T00:00:00Z'))).length, 1);
+    await first.close();
+
+    const second = new SQLiteAdapter(dbPath);
+    await second.init();
+    assert.deepEqual(await second.dueSchedules(at('2030-01-01T00:00:00Z')), []);
+    assert.equal(await second.countTaskRuns(), 1);
+    await second.close();
+  });
+});
+
+test('cron', async (t) => {
+  const from = at('2024-01-31T10:07:30Z');
+
+  await t.test('finds the next matching minute in UTC', () => {
+    assert.equal(nextCronTime('*/15 * * * *', from).toISOString(), '2024-01-31T10:15:00.000Z');
+    assert.equal(nextCronTime('0 9 * * mon-fri', from).toISOString(), '2024-02-01T09:00:00.000Z');
+    assert.equal(nextCronTime('0 0 29 feb *', from).toISOString(), '2024-02-29T00:00:00.000Z');
+    assert.equal(nextCronTime('0 0 * * 7', from).toISOString(), '2024-02-04T00:00:00.000Z');
+    assert.equal(nextCronTime('7 10 * * *', from).toISOString(), '2024-02-01T10:07:00.000Z');
+  });
+
+  await t.test('matches either restricted day field', () => {
+    assert.equal(nextCronTime('0 12 13 * fri', from).toISOString(), '2024-02-02T12:00:00.000Z');
+  });
+
+  await t.test('rejects invalid expressions', () => {
+    assert.throws(() => nextCronTime('61 * * * *'), ValidationError);
+    assert.throws(() => nextCronTime('0 0 31 2 *'), /never matches/);
+    assert.throws(() => nextCronTime('*/0 * * * *'), ValidationError);
+  });
+});
@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SQLiteAdapter, ValidationError, SearchUnavailableError } from '../src/index.js';
+import { migrate } from '../src/migrations.js';
+import { openDriver } from '../src/drivers/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const dbPath = path.join(__dirname, 'search-test.db');
+
+const cleanup = () => {
+  for (const file of fs.readdirSync(__dirname)) {
+    if (file.startsWith('search-test.db')) fs.unlinkSync(path.join(__dirname, file));
+  }
+};
+
+const ids = (matches) => matches.map(match => match.run.id);
+
+for (const driver of ['auto', 'sql.js']) {
+  test(`SQLiteAdapter - Full-Text Search (${driver})`, async (t) => {
+    let adapter;
+
+    t.beforeEach(async () => {
+      adapter = new SQLiteAdapter(':memory:', { driver });
+      await adapter.init();
+    });
+
+    t.afterEach(async () => {
+      await adapter.close();
+    });
+
+    await t.test('finds runs by words in their input, result and error', async () => {
+      const byInput = await adapter.createTaskRun({ task_identifier: 'charge', status: 'pending', input: { customerId: 4242 } });
+      await adapter.createTaskRun({ task_identifier: 'charge', status: 'pending', input: { customerId: 7 } });
+      const taskRun = await adapter.createTaskRun({ task_identifier: 'sync', status: 'running' });
+      const stackRun = await adapter.createStackRun({
+        task_run_id: taskRun.id, operation: 'fetch', status: 'failed', error: { message: 'ECONNRESET: socket hang up' }
+      });
+
+      const [match] = await adapter.searchRuns('4242');
+      assert.equal(match.table, 'task_runs');
+      assert.equal(match.run.id, byInput.id);
+      assert.deepEqual(match.run.input, { customerId: 4242 });
+      assert.match(match.snippet, /<mark>4242<\/mark>/);
+      assert.ok(match.score > 0);
+
+      const [failure] = await adapter.searchRuns('econnreset: SOCKET');
+      assert.equal(failure.table, 'stack_runs');
+      assert.equal(failure.run.id, stackRun.id);
+    });
+
+    await t.test('ranks closer matches first', async () => {
+      const weak = await adapter.createTaskRun({
+        task_identifier: 'report', status: 'completed', result: 'timeout after the export finished and the upload started and stopped'
+      });
+      const strong = await adapter.createTaskRun({ task_identifier: 'report', status: 'failed', error: 'timeout timeout' });
+      await adapter.createTaskRun({ task_identifier: 'report', status: 'completed', result: 'ok' });
+
+      assert.deepEqual(ids(await adapter.searchRuns('timeout')), [strong.id, weak.id]);
+    });
+
+    await t.test('keeps the index in sync with updates and deletes', async () => {
+      const run = await adapter.createTaskRun({ task_identifier: 'job', status: 'running', input: 'draft' });
+      await adapter.updateTaskRun(run.id, { status: 'completed', result: 'published' });
+
+      assert.deepEqual(ids(await adapter.searchRuns('published')), [run.id]);
+      assert.deepEqual(ids(await adapter.searchRuns('draft')), [run.id]);
+
+      await adapter.updateTaskRun(run.id, { input: 'final' });
+      assert.deepEqual(await adapter.searchRuns('draft'), []);
+
+      await adapter.prune({ olderThan: new Date(Date.now() + 60000), vacuum: false });
+      assert.deepEqual(await adapter.searchRuns('published'), []);
+    });
+
+    await t.test('filters by table and status and applies the limit', async () => {
+      const failed = await adapter.createTaskRun({ task_identifier: 'a', status: 'failed', error: 'quota exceeded' });
+      await adapter.createTaskRun({ task_identifier: 'b', status: 'completed', result: 'quota ok' });
+      await adapter.createStackRun({ task_run_id: failed.id, operation: 'op', status: 'failed', error: 'quota exceeded' });
+
+      assert.equal((await adapter.searchRuns('quota')).length, 3);
+      assert.deepEqual(ids(await adapter.searchRuns('quota', { table: 'task_runs', status: 'failed' })), [failed.id]);
+      assert.equal((await adapter.searchRuns('quota', { table: 'stack_runs', status: ['failed', 'pending'] })).length, 1);
+      assert.equal((await adapter.searchRuns('quota', { limit: 2 })).length, 2);
+    });
+
+    await t.test('rejects invalid searches', async () => {
+      await assert.rejects(adapter.searchRuns('  '), ValidationError);
+      await assert.rejects(adapter.searchRuns(': -'), ValidationError);
+      await assert.rejects(adapter.searchRuns('x', { table: 'keystore' }), TypeError);
+      await assert.rejects(adapter.searchRuns('x', { limit: 0 }), ValidationError);
+    });
+  });
+}
+
+test('SQLiteAdapter - Search Index Maintenance', async (t) => {
+  t.beforeEach(cleanup);
+  t.afterEach(cleanup);
+
+  await t.test('indexes runs that existed before the migration', async () => {
+    const db = await openDriver(dbPath, { driver: 'sql.js' });
+    migrate(db, { to: 11 });
+    db.run(`INSERT INTO task_runs (task_identifier, status, error) VALUES ('legacy', 'failed', 'disk full')`);
+    fs.writeFileSync(dbPath, db.export());
+    db.close();
+
+    const adapter = new SQLiteAdapter(dbPath, { driver: 'sql.js' });
+    await adapter.init();
+    assert.equal((await adapter.searchRuns('disk full')).length, 1);
+    await adapter.close();
+  });
+
+  await t.test('keeps writes working on a driver without the index module', async (t) => {
+    const probe = new SQLiteAdapter(':memory:');
+    await probe.init();
+    await probe.close();
+    if (probe.searchModule !== 'fts5') {
+      t.skip('no native driver with fts5');
+      return;
+    }
+
+    const native = new SQLiteAdapter(dbPath);
+    await native.init();
+    await native.createTaskRun({ task_identifier: 'first', status: 'pending', input: 'alpha' });
+    await native.close();
+
+    const wasm = new SQLiteAdapter(dbPath, { driver: 'sql.js', durability: 'every-write' });
+    await wasm.init();
+    await assert.rejects(wasm.searchRuns('alpha'), SearchUnavailableError);
+    await wasm.createTaskRun({ task_identifier: 'second', status: 'pending', input: 'beta' });
+    await wasm.close();
+
+    const reopened = new SQLiteAdapter(dbPath);
+    await reopened.init();
+    assert.equal((await reopened.searchRuns('alpha')).length, 1);
+    assert.equal((await reopened.searchRuns('beta')).length, 1);
+    await reopened.close();
+  });
+});
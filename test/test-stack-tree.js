@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { SQLiteAdapter } from '../src/index.js';
+
+test('SQLiteAdapter - Stack Run Trees', async (t) => {
+  let adapter;
+  let taskRun;
+  let runs;
+
+  t.beforeEach(async () => {
+    adapter = new SQLiteAdapter();
+    await adapter.init();
+    taskRun = await adapter.createTaskRun({ task_identifier: 'tree', status: 'running' });
+
+    // root -> (a -> (a1, a2), b)
+    const create = (operation, parent) => adapter.createStackRun({
+      task_run_id: taskRun.id,
+      parent_stack_run_id: parent?.id ?? null,
+      operation,
+      status: 'pending'
+    });
+    const root = await create('root');
+    const a = await create('a', root);
+    const b = await create('b', root);
+    const a1 = await create('a1', a);
+    const a2 = await create('a2', a);
+    runs = { root, a, b, a1, a2 };
+  });
+
+  t.afterEach(async () => {
+    await adapter.close();
+  });
+
+  await t.test('returns the nested call tree of a task run', async () => {
+    const toNames = (node) => ({ [node.operation]: node.children.map(toNames) });
+    const tree = await adapter.getStackRunTree(taskRun.id);
+    assert.deepEqual(tree.map(toNames), [{ root: [{ a: [{ a1: [] }, { a2: [] }] }, { b: [] }] }]);
+  });
+
+  await t.test('returns an empty tree for unknown task runs', async () => {
+    assert.deepEqual(await adapter.getStackRunTree(9999), []);
+  });
+
+  await t.test('lists ancestors from the nearest parent up to the root', async () => {
+    const ancestors = await adapter.getAncestors(runs.a2.id);
+    assert.deepEqual(ancestors.map(r => r.operation), ['a', 'root']);
+    assert.deepEqual(await adapter.getAncestors(runs.root.id), []);
+  });
+
+  await t.test('lists descendants breadth first', async () => {
+    const descendants = await adapter.getDescendants(runs.root.id);
+    assert.deepEqual(descendants.map(r => r.operation), ['a', 'b', 'a1', 'a2']);
+    assert.deepEqual(await adapter.getDescendants(runs.b.id), []);
+  });
+
+  await t.test('terminates on cyclic parent links', async () => {
+    adapter.db.run('UPDATE stack_runs SET parent_stack_run_id = ? WHERE id = ?', [runs.a1.id, runs.root.id]);
+    const ancestors = await adapter.getAncestors(runs.a1.id);
+    assert.deepEqual(ancestors.map(r => r.operation), ['a', 'root']);
+  });
+});
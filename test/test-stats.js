@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { SQLiteAdapter, formatPrometheus } from '../src/index.js';
+
+test('SQLiteAdapter - Stats', async (t) => {
+  let adapter;
+
+  t.beforeEach(async () => {
+    adapter = new SQLiteAdapter();
+    await adapter.init();
+  });
+
+  t.afterEach(async () => {
+    await adapter.close();
+  });
+
+  // Creates a finished run that took `seconds`, finishing at `finishedAt`.
+  const finishedRun = async (identifier, status, seconds, finishedAt = '2030-01-01 10:30:00') => {
+    const run = await adapter.createTaskRun({ task_identifier: identifier, status });
+    adapter.db.run(
+      `UPDATE task_runs SET updated_at = ?, created_at = datetime(?, ?) WHERE id = ?`,
+      [finishedAt, finishedAt, `-${seconds} seconds`, run.id]
+    );
+    return run;
+  };
+
+  await t.test('counts runs by status', async () => {
+    await finishedRun('import', 'completed', 10);
+    await finishedRun('import', 'failed', 20);
+    const pending = await adapter.createTaskRun({ task_identifier: 'export', status: 'pending' });
+    await adapter.createStackRun({ task_run_id: pending.id, operation: 'op', status: 'pending' });
+
+    const stats = await adapter.getStats();
+    assert.equal(stats.taskRuns.total, 3);
+    assert.deepEqual(stats.taskRuns.byStatus, { completed: 1, failed: 1, pending: 1 });
+    assert.deepEqual(stats.stackRuns.byStatus, { pending: 1 });
+
+    const filtered = await adapter.getStats({ taskIdentifier: 'export' });
+    assert.deepEqual(filtered.taskRuns.byStatus, { pending: 1 });
+    assert.equal(filtered.stackRuns.total, 1);
+  });
+
+  await t.test('computes duration percentiles of finished runs', async () => {
+    for (let i = 1; i <= 20; i++) await finishedRun('import', 'completed', i);
+    await adapter.createTaskRun({ task_identifier: 'import', status: 'running' });
+
+    const { durations } = await adapter.getStats({ taskIdentifier: 'import' });
+    assert.deepEqual(durations, { count: 20, p50: 10000, p95: 19000 });
+    assert.deepEqual((await adapter.getStats({ taskIdentifier: 'none' })).durations, { count: 0, p50: null, p95: null });
+  });
+
+  await t.test('buckets throughput by finish time', async () => {
+    await finishedRun('import', 'completed', 1, '2030-01-01 10:05:00');
+    await finishedRun('import', 'completed', 1, '2030-01-01 10:55:00');
+    await finishedRun('import', 'failed', 1, '2030-01-01 12:00:00');
+
+    const { throughput } = await adapter.getStats();
+    assert.deepEqual(throughput, [
+      { start: new Date('2030-01-01T10:00:00Z'), count: 2 },
+      { start: new Date('2030-01-01T12:00:00Z'), count: 1 }
+    ]);
+    assert.equal((await adapter.getStats({ bucket: 'day' })).throughput[0].count, 3);
+    await assert.rejects(adapter.getStats({ bucket: 'week' }), TypeError);
+  });
+
+  await t.test('limits counts to runs created since a time', async () => {
+    await finishedRun('import', 'completed', 60, '2000-01-01 00:00:00');
+    await adapter.createTaskRun({ task_identifier: 'import', status: 'pending' });
+
+    assert.equal((await adapter.getStats({ since: 60 * 60 * 1000 })).taskRuns.total, 1);
+    assert.equal((await adapter.getStats({ since: new Date('1999-01-01') })).taskRuns.total, 2);
+  });
+
+  await t.test('reports suspended stack runs', async () => {
+    const taskRun = await adapter.createTaskRun({ task_identifier: 'import', status: 'running' });
+    const stackRun = await adapter.createStackRun({ task_run_id: taskRun.id, operation: 'op', status: 'pending' });
+    await adapter.updateStackRun(stackRun.id, { status: 'suspended_waiting_child', suspended_at: '2030-01-01 00:00:00' });
+
+    const { suspended } = await adapter.getStats({ since: new Date('2100-01-01') });
+    assert.deepEqual(suspended, { count: 1, oldestSuspendedAt: '2030-01-01 00:00:00' });
+  });
+
+  await t.test('formats stats for Prometheus', async () => {
+    await finishedRun('import', 'completed', 5);
+    const text = formatPrometheus(await adapter.getStats({ taskIdentifier: 'import' }));
+
+    assert.match(text, /^# TYPE sequential_task_runs gauge$/m);
+    assert.match(text, /^sequential_task_runs\{task_identifier="import",status="completed"\} 1$/m);
+    assert.match(text, /^sequential_task_run_duration_milliseconds\{task_identifier="import",quantile="0.95"\} 5000$/m);
+    assert.match(text, /^sequential_task_run_duration_milliseconds_count\{task_identifier="import"\} 1$/m);
+    assert.match(text, /^sequential_suspended_stack_runs\{task_identifier="import"\} 0$/m);
+    assert.match(formatPrometheus(await adapter.getStats(), { prefix: 'tasks' }), /^tasks_task_runs\{status="completed"\} 1$/m);
+  });
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { SQLiteAdapter, InvalidTransitionError, NotFoundError, ValidationError } from '../src/index.js';
+
+test('SQLiteAdapter - Suspension Lifecycle', async (t) => {
+  let adapter;
+  let taskRun;
+  let parent;
+  let child;
+
+  t.beforeEach(async () => {
+    adapter = new SQLiteAdapter();
+    await adapter.init();
+    taskRun = await adapter.createTaskRun({ task_identifier: 'flow', status: 'running' });
+    parent = await adapter.createStackRun({ task_run_id: taskRun.id, operation: 'parent', status: 'running' });
+    child = await adapter.createStackRun({ task_run_id: taskRun.id, parent_stack_run_id: parent.id, operation: 'child', status: 'pending' });
+  });
+
+  t.afterEach(async () => {
+    await adapter.close();
+  });
+
+  await t.test('suspends a run waiting on a child', async () => {
+    await adapter.updateStackRun(child.id, { status: 'running' });
+    await adapter.updateStackRun(parent.id, { status: 'pending' });
+    assert.equal((await adapter.claimNextStackRun('worker-1')).id, parent.id);
+    const suspended = await adapter.suspendStackRun(parent.id, { waitingOn: child.id });
+
+    assert.equal(suspended.status, 'suspended_waiting_child');
+    assert.equal(suspended.waiting_on, child.id);
+    assert.ok(suspended.suspended_at);
+    assert.equal(suspended.lease_owner, null);
+  });
+
+  await t.test('resumes with a payload', async () => {
+    await adapter.suspendStackRun(parent.id, { waitingOn: child.id });
+    const resumed = await adapter.resumeStackRun(parent.id, JSON.stringify({ rows: 3 }));
+
+    assert.equal(resumed.status, 'pending');
+    assert.deepEqual(resumed.resume_payload, { rows: 3 });
+    assert.equal(resumed.waiting_on, null);
+    assert.equal(resumed.suspended_at, null);
+  });
+
+  await t.test('rejects invalid transitions', async () => {
+    await assert.rejects(adapter.resumeStackRun(parent.id, null), (err) => {
+      assert.ok(err instanceof InvalidTransitionError);
+      assert.ok(err instanceof ValidationError);
+      assert.equal(err.from, 'running');
+      assert.equal(err.to, 'pending');
+      return true;
+    });
+
+    await adapter.suspendStackRun(parent.id);
+    await assert.rejects(adapter.suspendStackRun(parent.id), InvalidTransitionError);
+
+    await adapter.updateStackRun(child.id, { status: 'completed' });
+    await assert.rejects(adapter.suspendStackRun(child.id), InvalidTransitionError);
+
+    await assert.rejects(adapter.suspendStackRun(999), NotFoundError);
+  });
+
+  await t.test('requires waitingOn to name a stack run of the same task run', async () => {
+    const otherTaskRun = await adapter.createTaskRun({ task_identifier: 'other', status: 'running' });
+    const stranger = await adapter.createStackRun({ task_run_id: otherTaskRun.id, operation: 'x', status: 'pending' });
+
+    await assert.rejects(adapter.suspendStackRun(parent.id, { waitingOn: stranger.id }), NotFoundError);
+    assert.equal((await adapter.getStackRun(parent.id)).status, 'running');
+  });
+
+  await t.test('lists suspended runs by age', async () => {
+    await adapter.suspendStackRun(parent.id, { waitingOn: child.id });
+    await adapter.suspendStackRun(child.id);
+    adapter.db.run('UPDATE stack_runs SET suspended_at = ? WHERE id = ?', ['2000-01-01 00:00:00', parent.id]);
+
+    assert.deepEqual((await adapter.getSuspendedStackRuns()).map(run => run.id), [parent.id, child.id]);
+    assert.deepEqual((await adapter.getSuspendedStackRuns({ olderThan: 60 * 60 * 1000 })).map(run => run.id), [parent.id]);
+    assert.deepEqual((await adapter.getSuspendedStackRuns({ taskRunId: taskRun.id + 1 })), []);
+    assert.equal((await adapter.getSuspendedStackRuns({ limit: 1 })).length, 1);
+  });
+
+  await t.test('emits update events for each transition', async () => {
+    const statuses = [];
+    adapter.on('stackRun:updated', ({ record }) => statuses.push(record.status));
+
+    await adapter.suspendStackRun(parent.id);
+    await adapter.resumeStackRun(parent.id, null);
+    assert.deepEqual(statuses, ['suspended_waiting_child', 'pending']);
+  });
+});
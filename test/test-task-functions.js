@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SQLiteAdapter, NotFoundError } from '../src/index.js';
+import { MIGRATIONS } from '../src/migrations.js';
+import { openDriver } from '../src/drivers/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+test('SQLiteAdapter - Task Function Versions', async (t) => {
+  let adapter;
+
+  t.beforeEach(async () => {
+    adapter = new SQLiteAdapter();
+    await adapter.init();
+  });
+
+  t.afterEach(async () => {
+    await adapter.close();
+  });
+
+  await t.test('creates a new immutable version on every change', async () => {
+    const v1 = await adapter.storeTaskFunction({ identifier: 'fn', code: 'return 1' });
+    const v2 = await adapter.storeTaskFunction({ identifier: 'fn', code: 'return 2' });
+
+    assert.equal(v1.version, 1);
+    assert.equal(v2.version, 2);
+    assert.notEqual(v1.hash, v2.hash);
+    assert.equal((await adapter.getTaskFunction('fn')).code, 'return 2');
+    assert.equal((await adapter.getTaskFunction('fn', { version: 1 })).code, 'return 1');
+    assert.equal(await adapter.getTaskFunction('fn', { version: 3 }), null);
+  });
+
+  await t.test('does not add a version when the content is unchanged', async () => {
+    await adapter.storeTaskFunction({ identifier: 'fn', code: 'same' });
+    const again = await adapter.storeTaskFunction({ identifier: 'fn', code: 'same' });
+    assert.equal(again.version, 1);
+    assert.equal((await adapter.listTaskFunctionVersions('fn')).length, 1);
+  });
+
+  await t.test('lists the version history', async () => {
+    await adapter.storeTaskFunction({ identifier: 'fn', code: 'a' });
+    await adapter.storeTaskFunction({ identifier: 'fn', code: 'b' });
+
+    const versions = await adapter.listTaskFunctionVersions('fn');
+    assert.deepEqual(versions.map(v => [v.version, v.code, v.current]), [[1, 'a', false], [2, 'b', true]]);
+  });
+
+  await t.test('rolls back to an earlier version', async () => {
+    await adapter.storeTaskFunction({ identifier: 'fn', code: 'good' });
+    await adapter.storeTaskFunction({ identifier: 'fn', code: 'broken' });
+
+    const restored = await adapter.rollbackTaskFunction('fn', 1);
+    assert.equal(restored.version, 1);
+    assert.equal((await adapter.getTaskFunction('fn')).code, 'good');
+    assert.equal((await adapter.listTaskFunctionVersions('fn')).length, 2);
+    await assert.rejects(() => adapter.rollbackTaskFunction('fn', 7), NotFoundError);
+  });
+
+  await t.test('task runs record the version they started with', async () => {
+    await adapter.storeTaskFunction({ identifier: 'fn', code: 'v1' });
+    const early = await adapter.createTaskRun({ task_identifier: 'fn', status: 'pending' });
+    await adapter.storeTaskFunction({ identifier: 'fn', code: 'v2' });
+    const late = await adapter.createTaskRun({ task_identifier: 'fn', status: 'pending' });
+    const unknown = await adapter.createTaskRun({ task_identifier: 'other', status: 'pending' });
+
+    assert.equal(early.task_function_version, 1);
+    assert.equal(late.task_function_version, 2);
+    assert.equal(unknown.task_function_version, null);
+    const code = (await adapter.getTaskFunction('fn', { version: early.task_function_version })).code;
+    assert.equal(code, 'v1');
+  });
+
+  await t.test('migrates existing functions to version 1', async () => {
+    const dbPath = path.join(__dirname, 'function-migration.db');
+    const baseline = await openDriver(dbPath, { driver: 'sql.js' });
+    MIGRATIONS[0].statements.forEach(stmt => baseline.exec(stmt));
+    baseline.run('INSERT INTO task_functions (identifier, code) VALUES (?, ?)', ['legacy', 'old code']);
+    fs.writeFileSync(dbPath, baseline.export());
+    baseline.close();
+
+    const migrated = new SQLiteAdapter(dbPath);
+    await migrated.init();
+    const fn = await migrated.getTaskFunction('legacy');
+    assert.equal(fn.version, 1);
+    assert.equal(fn.code, 'old code');
+    assert.ok(fn.hash);
+    await migrated.close();
+    fs.unlinkSync(dbPath);
+  });
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { SQLiteAdapter, TransactionError } from '../src/index.js';
+
+test('SQLiteAdapter - Transactions', async (t) => {
+  let adapter;
+
+  t.beforeEach(async () => {
+    adapter = new SQLiteAdapter();
+    await adapter.init();
+  });
+
+  t.afterEach(async () => {
+    await adapter.close();
+  });
+
+  await t.test('commits every write made through the transaction', async () => {
+    const taskRun = await adapter.createTaskRun({ task_identifier: 'tx', status: 'running' });
+    const parent = await adapter.createStackRun({ task_run_id: taskRun.id, operation: 'parent', status: 'running' });
+
+    const child = await adapter.transaction(async (tx) => {
+      const created = await tx.createStackRun({
+        task_run_id: taskRun.id,
+        parent_stack_run_id: parent.id,
+        operation: 'child',
+        status: 'pending'
+      });
+      await tx.updateStackRun(parent.id, { status: 'suspended_waiting_child' });
+      await tx.setKeystore('tx-key', JSON.stringify({ ok: true }));
+      return created;
+    });
+
+    assert.equal((await adapter.getStackRun(child.id)).operation, 'child');
+    assert.equal((await adapter.getStackRun(parent.id)).status, 'suspended_waiting_child');
+    assert.deepEqual(await adapter.getKeystore('tx-key'), { ok: true });
+  });
+
+  await t.test('rolls back everything when the callback throws', async () => {
+    const taskRun = await adapter.createTaskRun({ task_identifier: 'tx', status: 'running' });
+
+    await assert.rejects(() => adapter.transaction(async (tx) => {
+      await tx.updateTaskRun(taskRun.id, { status: 'completed' });
+      await tx.createStackRun({ task_run_id: taskRun.id, operation: 'lost', status: 'pending' });
+      throw new Error('boom');
+    }), /boom/);
+
+    assert.equal((await adapter.getTaskRun(taskRun.id)).status, 'running');
+    assert.equal((await adapter.queryStackRuns({ task_run_id: taskRun.id })).length, 0);
+  });
+
+  await t.test('nested transactions roll back to their savepoint', async () => {
+    const taskRun = await adapter.createTaskRun({ task_identifier: 'tx', status: 'running' });
+
+    await adapter.transaction(async (tx) => {
+      await tx.createStackRun({ task_run_id: taskRun.id, operation: 'kept', status: 'pending' });
+      await assert.rejects(() => tx.transaction(async (inner) => {
+        await inner.createStackRun({ task_run_id: taskRun.id, operation: 'discarded', status: 'pending' });
+        throw new Error('inner');
+      }), /inner/);
+    });
+
+    const operations = (await adapter.queryStackRuns({ task_run_id: taskRun.id })).map(run => run.operation);
+    assert.deepEqual(operations, ['kept']);
+  });
+
+  await t.test('calls on the adapter wait for an open transaction', async () => {
+    const order = [];
+    let resume;
+    const gate = new Promise(resolve => { resume = resolve; });
+
+    const txDone = adapter.transaction(async (tx) => {
+      await tx.createTaskRun({ task_identifier: 'inside', status: 'pending' });
+      await gate;
+      order.push('commit');
+      throw new Error('abort');
+    }).catch(() => {});
+
+    const outside = adapter.queryTaskRuns({ task_identifier: 'inside' }).then(rows => {
+      order.push('query');
+      return rows;
+    });
+
+    resume();
+    await txDone;
+    assert.deepEqual(await outside, []);
+    assert.deepEqual(order, ['commit', 'query']);
+  });
+
+  await t.test('rejects calls on the adapter from inside its own callback', async () => {
+    let later;
+    await assert.rejects(adapter.transaction(async (tx) => {
+      await tx.createTaskRun({ task_identifier: 'inside', status: 'pending' });
+      later = new Promise(resolve => setTimeout(resolve, 10)).then(() => adapter.countTaskRuns());
+      await adapter.createTaskRun({ task_identifier: 'deadlock', status: 'pending' });
+    }), TransactionError);
+
+    await assert.rejects(adapter.transaction(() => adapter.transaction(async () => {})), TransactionError);
+    assert.equal(await later, 0);
+  });
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { SQLiteAdapter, InvalidColumnError, ValidationError } from '../src/index.js';
+import { COLUMNS } from '../src/columns.js';
+
+const MALICIOUS_KEYS = [
+  'status = status; DROP TABLE task_runs; --',
+  '1=1 OR id',
+  'id) OR (1=1',
+  'nonexistent_column',
+  '__proto__x'
+];
+
+test('SQLiteAdapter - Column Validation', async (t) => {
+  let adapter;
+  let taskRun;
+  let stackRun;
+
+  t.beforeEach(async () => {
+    adapter = new SQLiteAdapter();
+    await adapter.init();
+    taskRun = await adapter.createTaskRun({ task_identifier: 'safe', status: 'pending' });
+    stackRun = await adapter.createStackRun({ task_run_id: taskRun.id, operation: 'op', status: 'pending' });
+  });
+
+  t.afterEach(async () => {
+    await adapter.close();
+  });
+
+  const assertRejected = async (call, key) => {
+    await assert.rejects(call, (err) => {
+      assert.ok(err instanceof InvalidColumnError);
+      assert.ok(err instanceof ValidationError);
+      assert.equal(err.field, key);
+      return true;
+    });
+  };
+
+  for (const key of MALICIOUS_KEYS) {
+    await t.test(`rejects ${JSON.stringify(key)} in every dynamic statement`, async () => {
+      await assertRejected(() => adapter.queryTaskRuns({ [key]: 1 }), key);
+      await assertRejected(() => adapter.queryTaskRunsPage({ [key]: 1 }), key);
+      await assertRejected(() => adapter.countTaskRuns({ [key]: 1 }), key);
+      await assertRejected(() => adapter.queryTaskRuns({}, { orderBy: key.replace(/\s/g, '') }), key.replace(/\s/g, ''));
+      await assertRejected(() => adapter.updateTaskRun(taskRun.id, { [key]: 1 }), key);
+
+      await assertRejected(() => adapter.queryStackRuns({ [key]: [1, 2] }), key);
+      await assertRejected(() => adapter.queryStackRunsPage({ [key]: 1 }), key);
+      await assertRejected(() => adapter.countStackRuns({ [key]: 1 }), key);
+      await assertRejected(() => adapter.queryStackRuns({}, { orderBy: key.replace(/\s/g, '') }), key.replace(/\s/g, ''));
+      await assertRejected(() => adapter.updateStackRun(stackRun.id, { [key]: 1 }), key);
+
+      assert.equal((await adapter.getTaskRun(taskRun.id)).status, 'pending');
+      assert.equal(await adapter.countTaskRuns(), 1);
+    });
+  }
+
+  await t.test('rejects updates to read-only columns', async () => {
+    await assertRejected(() => adapter.updateTaskRun(taskRun.id, { id: 99 }), 'id');
+    await assertRejected(() => adapter.updateStackRun(stackRun.id, { created_at: '2000-01-01' }), 'created_at');
+  });
+
+  await t.test('whitelist matches the migrated schema', async () => {
+    for (const [table, columns] of Object.entries(COLUMNS)) {
+      const actual = adapter.db.all(`PRAGMA table_info(${table})`).map(col => col.name);
+      assert.deepEqual([...actual].sort(), [...columns].sort());
+    }
+  });
+});